@@ -61,9 +61,53 @@ function ref(initialValue) {
   return r;
 }
 
+// Map raw objects to their proxies, and proxies back to raw objects
+const reactiveMap = new WeakMap();
+const rawMap = new WeakMap();
+
+// Check if a value is a reactive proxy
+function isReactive(value) {
+  return rawMap.has(value);
+}
+
+// Check if a value is any kind of proxy created by this system
+function isProxy(value) {
+  return isReactive(value);
+}
+
+// Get the original object behind a proxy
+function toRaw(observed) {
+  const raw = rawMap.get(observed);
+  return raw ? toRaw(raw) : observed;
+}
+
+// Whether a write changes a value. Unlike `!==`, writing NaN
+// over NaN is no change, while 0 and -0 differ.
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
+
+// Mark an object so it is never made reactive
+function markRaw(value) {
+  if (Object.isExtensible(value)) {
+    Object.defineProperty(value, '__v_skip', {
+      value: true,
+      configurable: true,
+    });
+  }
+  return value;
+}
+
 // Function to create a deeply reactive object
 function reactive(target) {
-  return new Proxy(target, {
+  // Objects marked with markRaw() stay as they are
+  if (target.__v_skip) return target;
+  // Reuse an existing proxy instead of wrapping again
+  if (rawMap.has(target)) return target;
+  const existingProxy = reactiveMap.get(target);
+  if (existingProxy) return existingProxy;
+
+  const proxy = new Proxy(target, {
     get(target, key, receiver) {
       const res = Reflect.get(target, key, receiver);
       track(target, key);
@@ -80,7 +124,7 @@ function reactive(target) {
         value,
         receiver
       );
-      if (result && oldValue !== value) {
+      if (result && hasChanged(value, oldValue)) {
         trigger(target, key);
       }
       return result;
@@ -97,6 +141,9 @@ function reactive(target) {
       return result;
     },
   });
+  reactiveMap.set(target, proxy);
+  rawMap.set(proxy, target);
+  return proxy;
 }
 
 // Demo: Nested reactive object
@@ -105,9 +105,113 @@ function watchEffect(effect) {
   };
 }
 
+// Recursively read every nested property so it gets tracked.
+// `seen` keeps it from looping on circular references.
+function traverse(value, seen = new Set()) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (seen.has(value)) return value;
+  seen.add(value);
+  if (isRef(value)) {
+    traverse(value.value, seen);
+  } else {
+    for (const key in value) {
+      traverse(value[key], seen);
+    }
+  }
+  return value;
+}
+
+// Function to watch specific sources and run a callback with
+// `(newValue, oldValue, onCleanup)` when they change.
+// `source` is a ref, a getter or an array of those. Options:
+// `immediate`, `deep` and `once`. Returns a stop function.
+function watch(source, callback, options = {}) {
+  const { immediate = false, once = false } = options;
+  let deep = !!options.deep;
+  let isMultiSource = false;
+  let getter;
+
+  if (isRef(source)) {
+    getter = () => source.value;
+  } else if (Array.isArray(source)) {
+    isMultiSource = true;
+    getter = () =>
+      source.map((s) => {
+        if (isRef(s)) return s.value;
+        if (typeof s === 'function') return s();
+        return s;
+      });
+  } else if (typeof source === 'function') {
+    getter = source;
+  } else {
+    console.warn('Invalid watch source:', source);
+    getter = () => undefined;
+  }
+
+  let oldValue = isMultiSource ? [] : undefined;
+  let cleanup;
+  let stopped = false;
+  // The first run of an immediate watcher always calls back
+  let forceCallback = immediate;
+  const onCleanup = (fn) => {
+    cleanup = fn;
+  };
+
+  // Run the getter while collecting its dependencies
+  const run = () => {
+    removeEffect(job);
+    activeEffect = job;
+    try {
+      const value = getter();
+      return deep ? traverse(value) : value;
+    } finally {
+      activeEffect = null;
+    }
+  };
+
+  const isChanged = (newValue) =>
+    isMultiSource
+      ? newValue.some((v, i) => !Object.is(v, oldValue[i]))
+      : !Object.is(newValue, oldValue);
+
+  const job = () => {
+    if (stopped) return;
+    const newValue = run();
+    if (forceCallback || deep || isChanged(newValue)) {
+      forceCallback = false;
+      if (cleanup) {
+        cleanup();
+        cleanup = undefined;
+      }
+      callback(newValue, oldValue, onCleanup);
+      oldValue = newValue;
+      if (once) stop();
+    }
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    queue.delete(job);
+    if (cleanup) cleanup();
+    removeEffect(job);
+  };
+
+  if (immediate) {
+    job();
+  } else {
+    oldValue = run();
+  }
+
+  return stop;
+}
+
 // Function to create a reactive reference
 function ref(value) {
   const refObject = {
+    __v_isRef: true,
     get value() {
       track(refObject, 'value');
       return value;
@@ -120,6 +224,11 @@ function ref(value) {
   return refObject;
 }
 
+// Check if a value is a ref
+function isRef(r) {
+  return !!(r && r.__v_isRef === true);
+}
+
 // Demo
 const count = ref(0);
 let output = '';
@@ -67,8 +67,52 @@ function removeEffect(wrappedEffect) {
   });
 }
 
+// Map raw objects to their proxies, and proxies back to raw objects
+const reactiveMap = new WeakMap();
+const rawMap = new WeakMap();
+
+// Check if a value is a reactive proxy
+function isReactive(value) {
+  return rawMap.has(value);
+}
+
+// Check if a value is any kind of proxy created by this system
+function isProxy(value) {
+  return isReactive(value);
+}
+
+// Get the original object behind a proxy
+function toRaw(observed) {
+  const raw = rawMap.get(observed);
+  return raw ? toRaw(raw) : observed;
+}
+
+// Whether a write changes a value. Unlike `!==`, writing NaN
+// over NaN is no change, while 0 and -0 differ.
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
+
+// Mark an object so it is never made reactive
+function markRaw(value) {
+  if (Object.isExtensible(value)) {
+    Object.defineProperty(value, '__v_skip', {
+      value: true,
+      configurable: true,
+    });
+  }
+  return value;
+}
+
 // Create a reactive proxy for an object
 function reactive(target) {
+  // Objects marked with markRaw() stay as they are
+  if (target.__v_skip) return target;
+  // Reuse an existing proxy instead of wrapping again
+  if (rawMap.has(target)) return target;
+  const existingProxy = reactiveMap.get(target);
+  if (existingProxy) return existingProxy;
+
   const handler = {
     get(target, key, receiver) {
       const result = Reflect.get(target, key, receiver);
@@ -88,14 +132,17 @@ function reactive(target) {
         value,
         receiver
       );
-      if (oldValue !== value) {
+      if (hasChanged(value, oldValue)) {
         trigger(target, key);
       }
       return result;
     },
   };
 
-  return new Proxy(target, handler);
+  const proxy = new Proxy(target, handler);
+  reactiveMap.set(target, proxy);
+  rawMap.set(proxy, target);
+  return proxy;
 }
 
 // Methods to abstract effect stack operations
@@ -137,12 +184,136 @@ function watchEffect(effect) {
   };
 }
 
-// Function to create a computed reference
-function computed(getter) {
+// Recursively read every nested property so it gets tracked.
+// `seen` keeps it from looping on circular references.
+function traverse(value, seen = new Set()) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (seen.has(value)) return value;
+  seen.add(value);
+  if (isRef(value)) {
+    traverse(value.value, seen);
+  } else {
+    for (const key in value) {
+      traverse(value[key], seen);
+    }
+  }
+  return value;
+}
+
+// Function to watch specific sources and run a callback with
+// `(newValue, oldValue, onCleanup)` when they change.
+// `source` is a ref, a reactive object, a getter or an array
+// of those. Options: `immediate`, `deep` and `once`. Returns a
+// stop function.
+function watch(source, callback, options = {}) {
+  const { immediate = false, once = false } = options;
+  let deep = !!options.deep;
+  let isMultiSource = false;
+  let getter;
+
+  if (isRef(source)) {
+    getter = () => source.value;
+  } else if (isReactive(source)) {
+    // Watching a reactive object is always deep
+    getter = () => source;
+    deep = true;
+  } else if (Array.isArray(source)) {
+    isMultiSource = true;
+    getter = () =>
+      source.map((s) => {
+        if (isRef(s)) return s.value;
+        if (isReactive(s)) return traverse(s);
+        if (typeof s === 'function') return s();
+        return s;
+      });
+  } else if (typeof source === 'function') {
+    getter = source;
+  } else {
+    console.warn('Invalid watch source:', source);
+    getter = () => undefined;
+  }
+
+  let oldValue = isMultiSource ? [] : undefined;
+  let cleanup;
+  let stopped = false;
+  // The first run of an immediate watcher always calls back
+  let forceCallback = immediate;
+  const onCleanup = (fn) => {
+    cleanup = fn;
+  };
+
+  // Run the getter while collecting its dependencies
+  const run = () => {
+    removeEffect(job);
+    pushEffect(job);
+    try {
+      const value = getter();
+      return deep ? traverse(value) : value;
+    } finally {
+      popEffect();
+    }
+  };
+
+  const isChanged = (newValue) =>
+    isMultiSource
+      ? newValue.some((v, i) => hasChanged(v, oldValue[i]))
+      : hasChanged(newValue, oldValue);
+
+  const job = () => {
+    if (stopped) return;
+    const newValue = run();
+    if (forceCallback || deep || isChanged(newValue)) {
+      forceCallback = false;
+      if (cleanup) {
+        cleanup();
+        cleanup = undefined;
+      }
+      callback(newValue, oldValue, onCleanup);
+      oldValue = newValue;
+      if (once) stop();
+    }
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    queue.delete(job);
+    if (cleanup) cleanup();
+    removeEffect(job);
+  };
+
+  if (immediate) {
+    job();
+  } else {
+    oldValue = run();
+  }
+
+  return stop;
+}
+
+// Function to create a computed reference.
+// Pass a getter, or `{ get, set }` for a writable computed.
+function computed(getterOrOptions) {
+  let getter;
+  let setter = () => {
+    console.warn(
+      'Write operation failed: computed value is readonly'
+    );
+  };
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions;
+  } else {
+    getter = getterOrOptions.get;
+    // `{ get }` alone is readonly too
+    if (getterOrOptions.set) setter = getterOrOptions.set;
+  }
   let value;
   let dirty = true;
 
   const computedRef = {
+    __v_isRef: true,
     get value() {
       if (dirty) {
         pushEffect(computedEffect);
@@ -153,6 +324,9 @@ function computed(getter) {
       track(computedRef, 'value');
       return value;
     },
+    set value(newValue) {
+      setter(newValue);
+    },
   };
 
   const computedEffect = () => {
@@ -224,9 +398,15 @@ const person = reactive({
 const { firstName, lastName, age } = toRefs(person);
 
 // Create computed refs
-const fullName = computed(
-  () => `${unref(firstName)} ${unref(lastName)}`
-);
+// fullName is writable: assigning it splits the name back up
+const fullName = computed({
+  get: () => `${unref(firstName)} ${unref(lastName)}`,
+  set: (newName) => {
+    const [first, ...rest] = newName.split(' ');
+    firstName.value = first;
+    lastName.value = rest.join(' ');
+  },
+});
 const ageDescription = computed(() => {
   const currentAge = unref(age);
   if (currentAge < 18) return 'Minor';
@@ -268,6 +448,15 @@ document
       lastName.value === 'Doe' ? 'Smith' : 'Doe';
   });
 
+document
+  .getElementById('set-full-name')
+  .addEventListener('click', () => {
+    fullName.value =
+      fullName.value === 'John Doe'
+        ? 'Jane Smith'
+        : 'John Doe';
+  });
+
 document
   .getElementById('increment-age')
   .addEventListener('click', () => {
@@ -3,6 +3,8 @@ let activeEffect;
 const targetMap = new Map();
 // Track nested effects
 const effectStack = [];
+// Dependency key for effects that list an object's keys
+const ITERATE_KEY = Symbol('iterate');
 
 // Track dependencies for reactive properties
 function track(target, key) {
@@ -20,35 +22,100 @@ function track(target, key) {
 }
 
 // Trigger effects for reactive properties
-function trigger(target, key) {
+// `type` is 'add' or 'delete' when the set of keys changes
+function trigger(target, key, type = 'set') {
   const depsMap = targetMap.get(target);
   if (!depsMap) return;
   const dep = depsMap.get(key);
   if (dep) {
     dep.forEach((effect) => queueJob(effect));
   }
+  if (type === 'add' || type === 'delete') {
+    const iterateDep = depsMap.get(
+      Array.isArray(target) ? 'length' : ITERATE_KEY
+    );
+    if (iterateDep) {
+      iterateDep.forEach((effect) => queueJob(effect));
+    }
+  }
+}
+
+// Well-known symbols like Symbol.iterator are never tracked
+const builtInSymbols = new Set(
+  Object.getOwnPropertyNames(Symbol)
+    .map((key) => Symbol[key])
+    .filter((value) => typeof value === 'symbol')
+);
+
+function isBuiltInSymbol(key) {
+  return typeof key === 'symbol' && builtInSymbols.has(key);
+}
+
+// Map raw objects to their proxies, and proxies back to raw objects
+const reactiveMap = new WeakMap();
+const shallowReactiveMap = new WeakMap();
+const readonlyMap = new WeakMap();
+const shallowReadonlyMap = new WeakMap();
+const rawMap = new WeakMap();
+
+// Throw on writes to readonly objects instead of warning
+let readonlyStrictMode = false;
+
+function setReadonlyStrictMode(enabled = true) {
+  readonlyStrictMode = enabled;
 }
 
 // Create a reactive proxy for an object
 function reactive(target) {
-  return new Proxy(target, {
+  return createReactive(target, false, reactiveMap);
+}
+
+// Like reactive(), but only the top-level keys are tracked.
+// Nested objects are returned as they are, without a proxy, so
+// large data that's only ever replaced stays cheap.
+function shallowReactive(target) {
+  return createReactive(target, true, shallowReactiveMap);
+}
+
+function createReactive(target, shallow, proxyMap) {
+  // Objects marked with markRaw() stay as they are
+  if (target.__v_skip) return target;
+  // Reuse an existing proxy instead of wrapping again
+  if (rawMap.has(target)) return target;
+  const existingProxy = proxyMap.get(target);
+  if (existingProxy) return existingProxy;
+
+  const proxy = new Proxy(target, {
     get(target, key, receiver) {
+      if (key === '__v_isReadonly') return false;
       const res = Reflect.get(target, key, receiver);
+      if (isBuiltInSymbol(key)) {
+        return res;
+      }
       track(target, key);
+      if (shallow) return res;
       return res && typeof res === 'object'
         ? reactive(res)
         : res;
     },
     set(target, key, value, receiver) {
       const oldValue = target[key];
+      const hadKey = Object.prototype.hasOwnProperty.call(
+        target,
+        key
+      );
       const result = Reflect.set(
         target,
         key,
         value,
         receiver
       );
-      if (result && oldValue !== value) {
-        trigger(target, key);
+      if (result) {
+        if (!hadKey) {
+          trigger(target, key, 'add');
+        } else if (hasChanged(value, oldValue)) {
+          trigger(target, key);
+        }
       }
       return result;
     },
@@ -59,32 +126,113 @@ function reactive(target) {
       );
       const result = Reflect.deleteProperty(target, key);
       if (result && hadKey) {
-        trigger(target, key);
+        trigger(target, key, 'delete');
       }
       return result;
     },
+    // `key in state`
+    has(target, key) {
+      const result = Reflect.has(target, key);
+      if (!isBuiltInSymbol(key)) {
+        track(target, key);
+      }
+      return result;
+    },
+    // Object.keys(), for...in, JSON.stringify() and friends
+    ownKeys(target) {
+      track(
+        target,
+        Array.isArray(target) ? 'length' : ITERATE_KEY
+      );
+      return Reflect.ownKeys(target);
+    },
   });
+  proxyMap.set(target, proxy);
+  rawMap.set(proxy, target);
+  return proxy;
 }
 
-// Create a readonly proxy for an object
-function readonly(target) {
-  return new Proxy(target, {
+// Format a key path for messages, e.g. `todos[0].title`
+function formatPath(path) {
+  return path
+    .map((key, index) => {
+      if (typeof key === 'symbol' || /^\d+$/.test(key)) {
+        return `[${String(key)}]`;
+      }
+      return index === 0 ? key : `.${key}`;
+    })
+    .join('');
+}
+
+function readonlyError(action, path) {
+  const where = formatPath(path);
+  const message = `Cannot ${action} "${where}": target is readonly.`;
+  if (readonlyStrictMode) {
+    throw new TypeError(message);
+  }
+  console.warn(message);
+  return true;
+}
+
+// Readonly proxies don't track anything: they can't change by
+// themselves. Wrapping a reactive object or a ref still updates,
+// because reading through those tracks as usual.
+// Each proxy knows the path it was reached by, for messages.
+function createReadonly(target, shallow, path) {
+  // Nested proxies are cached per key, as their path differs
+  const children = new Map();
+
+  const proxy = new Proxy(target, {
     get(target, key, receiver) {
+      if (key === '__v_isReadonly') return true;
       const res = Reflect.get(target, key, receiver);
-      track(target, key);
-      return res && typeof res === 'object'
-        ? readonly(res)
-        : res;
+      if (
+        shallow ||
+        !isObject(res) ||
+        isBuiltInSymbol(key)
+      ) {
+        return res;
+      }
+      const child = children.get(key);
+      if (child && child.target === res) return child.proxy;
+      const childProxy = createReadonly(
+        res,
+        false,
+        path.concat(key)
+      );
+      children.set(key, { target: res, proxy: childProxy });
+      return childProxy;
     },
-    set() {
-      console.warn(`Cannot set readonly property.`);
-      return true;
+    set(target, key) {
+      return readonlyError('set', path.concat(key));
     },
-    deleteProperty() {
-      console.warn(`Cannot delete readonly property.`);
-      return true;
+    deleteProperty(target, key) {
+      return readonlyError('delete', path.concat(key));
     },
   });
+  rawMap.set(proxy, target);
+  return proxy;
+}
+
+// Create a readonly proxy for an object, a reactive object or a
+// ref. Nested objects are readonly too.
+function readonly(target) {
+  if (isReadonly(target)) return target;
+  const existingProxy = readonlyMap.get(target);
+  if (existingProxy) return existingProxy;
+  const proxy = createReadonly(target, false, []);
+  readonlyMap.set(target, proxy);
+  return proxy;
+}
+
+// Like readonly(), but only the top-level properties are
+// readonly. Nested objects are returned as they are.
+function shallowReadonly(target) {
+  const existingProxy = shallowReadonlyMap.get(target);
+  if (existingProxy) return existingProxy;
+  const proxy = createReadonly(target, true, []);
+  shallowReadonlyMap.set(target, proxy);
+  return proxy;
 }
 
 // Create a shallow reactive reference
@@ -94,9 +242,11 @@ function shallowRef(value) {
 
 // Create a reactive reference (supports shallow behavior)
 function ref(initialValue, shallow = false) {
+  // The value as it was given, to compare new values against
+  let rawValue = toRaw(initialValue);
   let value = shallow
     ? initialValue
-    : reactive(initialValue);
+    : toReactive(initialValue);
   const r = {
     __v_isRef: true,
     get value() {
@@ -104,17 +254,27 @@ function ref(initialValue, shallow = false) {
       return value;
     },
     set value(newValue) {
-      if (shallow) {
-        value = newValue;
-      } else {
-        value = reactive(newValue);
-      }
+      // Writing the same value (or its proxy) again is no change
+      if (!hasChanged(toRaw(newValue), rawValue)) return;
+      rawValue = toRaw(newValue);
+      value = shallow ? newValue : toReactive(newValue);
       trigger(r, 'value');
     },
   };
   return r;
 }
 
+// Check if a value is a ref
+function isRef(r) {
+  return !!(r && r.__v_isRef === true);
+}
+
+// Re-run the effects that depend on a ref, e.g. after mutating
+// the value of a shallowRef in place
+function triggerRef(ref) {
+  trigger(ref, 'value');
+}
+
 // Utility functions
 function isReadonly(obj) {
   return !!(obj && obj.__v_isReadonly);
@@ -124,6 +284,49 @@ function isObject(val) {
   return val !== null && typeof val === 'object';
 }
 
+// Whether a write changes a value. Unlike `!==`, writing NaN
+// over NaN is no change, while 0 and -0 differ.
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
+
+// Check if a value is a reactive proxy. A readonly proxy of a
+// reactive object counts too, since it still updates.
+function isReactive(value) {
+  if (isReadonly(value))
+    return isReactive(rawMap.get(value));
+  return rawMap.has(value);
+}
+
+// Check if a value is any kind of proxy created by this system,
+// reactive or readonly
+function isProxy(value) {
+  return rawMap.has(value);
+}
+
+// The raw object behind a proxy, or the value itself. Proxies of
+// proxies, like readonly(reactive(obj)), are unwrapped all the way.
+function toRaw(value) {
+  const raw = isObject(value) && rawMap.get(value);
+  return raw ? toRaw(raw) : value;
+}
+
+// Mark an object so it is never made reactive
+function markRaw(value) {
+  if (Object.isExtensible(value)) {
+    Object.defineProperty(value, '__v_skip', {
+      value: true,
+      configurable: true,
+    });
+  }
+  return value;
+}
+
+// Only objects can be made reactive
+function toReactive(value) {
+  return isObject(value) ? reactive(value) : value;
+}
+
 // Convert an object's properties to refs
 function toRefs(obj) {
   const result = {};
@@ -224,12 +427,136 @@ function watchEffect(effect) {
   };
 }
 
-// Function to create a computed reference
-function computed(getter) {
+// Recursively read every nested property so it gets tracked.
+// `seen` keeps it from looping on circular references.
+function traverse(value, seen = new Set()) {
+  if (typeof value !== 'object' || value === null) {
+    return value;
+  }
+  if (seen.has(value)) return value;
+  seen.add(value);
+  if (isRef(value)) {
+    traverse(value.value, seen);
+  } else {
+    for (const key in value) {
+      traverse(value[key], seen);
+    }
+  }
+  return value;
+}
+
+// Function to watch specific sources and run a callback with
+// `(newValue, oldValue, onCleanup)` when they change.
+// `source` is a ref, a reactive object, a getter or an array
+// of those. Options: `immediate`, `deep` and `once`. Returns a
+// stop function.
+function watch(source, callback, options = {}) {
+  const { immediate = false, once = false } = options;
+  let deep = !!options.deep;
+  let isMultiSource = false;
+  let getter;
+
+  if (isRef(source)) {
+    getter = () => source.value;
+  } else if (isReactive(source)) {
+    // Watching a reactive object is always deep
+    getter = () => source;
+    deep = true;
+  } else if (Array.isArray(source)) {
+    isMultiSource = true;
+    getter = () =>
+      source.map((s) => {
+        if (isRef(s)) return s.value;
+        if (isReactive(s)) return traverse(s);
+        if (typeof s === 'function') return s();
+        return s;
+      });
+  } else if (typeof source === 'function') {
+    getter = source;
+  } else {
+    console.warn('Invalid watch source:', source);
+    getter = () => undefined;
+  }
+
+  let oldValue = isMultiSource ? [] : undefined;
+  let cleanup;
+  let stopped = false;
+  // The first run of an immediate watcher always calls back
+  let forceCallback = immediate;
+  const onCleanup = (fn) => {
+    cleanup = fn;
+  };
+
+  // Run the getter while collecting its dependencies
+  const run = () => {
+    removeEffect(job);
+    pushEffect(job);
+    try {
+      const value = getter();
+      return deep ? traverse(value) : value;
+    } finally {
+      popEffect();
+    }
+  };
+
+  const isChanged = (newValue) =>
+    isMultiSource
+      ? newValue.some((v, i) => hasChanged(v, oldValue[i]))
+      : hasChanged(newValue, oldValue);
+
+  const job = () => {
+    if (stopped) return;
+    const newValue = run();
+    if (forceCallback || deep || isChanged(newValue)) {
+      forceCallback = false;
+      if (cleanup) {
+        cleanup();
+        cleanup = undefined;
+      }
+      callback(newValue, oldValue, onCleanup);
+      oldValue = newValue;
+      if (once) stop();
+    }
+  };
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    queue.delete(job);
+    if (cleanup) cleanup();
+    removeEffect(job);
+  };
+
+  if (immediate) {
+    job();
+  } else {
+    oldValue = run();
+  }
+
+  return stop;
+}
+
+// Function to create a computed reference.
+// Pass a getter, or `{ get, set }` for a writable computed.
+function computed(getterOrOptions) {
+  let getter;
+  let setter = () => {
+    console.warn(
+      'Write operation failed: computed value is readonly'
+    );
+  };
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions;
+  } else {
+    getter = getterOrOptions.get;
+    // `{ get }` alone is readonly too
+    if (getterOrOptions.set) setter = getterOrOptions.set;
+  }
   let value;
   let dirty = true;
 
   const computedRef = {
+    __v_isRef: true,
     get value() {
       if (dirty) {
         pushEffect(computedEffect);
@@ -240,6 +567,9 @@ function computed(getter) {
       track(computedRef, 'value');
       return value;
     },
+    set value(newValue) {
+      setter(newValue);
+    },
   };
 
   const computedEffect = () => {
@@ -319,6 +649,13 @@ document
     shallowRefObj.value.array[0].number++;
   });
 
+// Nested changes aren't tracked, so show them by hand
+document
+  .getElementById('triggerShallowRef')
+  .addEventListener('click', () => {
+    triggerRef(shallowRefObj);
+  });
+
 document
   .getElementById('incrementShallowRef')
   .addEventListener('click', () => {
@@ -1,266 +1,92 @@
-// Global variables for reactivity system
-let activeEffect;
-const targetMap = new Map();
-// Track nested effects
-const effectStack = [];
+// Keep the count and the todos across reloads
+use(persistPlugin);
 
-// Track dependencies for reactive properties
-function track(target, key) {
-  if (activeEffect) {
-    let depsMap = targetMap.get(target);
-    if (!depsMap) {
-      targetMap.set(target, (depsMap = new Map()));
-    }
-    let dep = depsMap.get(key);
-    if (!dep) {
-      depsMap.set(key, (dep = new Set()));
-    }
-    dep.add(activeEffect);
-  }
-}
-
-// Trigger effects for reactive properties
-function trigger(target, key) {
-  const depsMap = targetMap.get(target);
-  if (!depsMap) return;
-  const dep = depsMap.get(key);
-  if (dep) {
-    dep.forEach((effect) => queueJob(effect));
-  }
-}
-
-// Utility function to check if a value is an object
-function isObject(val) {
-  return val !== null && typeof val === 'object';
-}
-
-// Check if a value is a ref
-function isRef(value) {
-  return !!(value && value.__v_isRef);
-}
-
-// Unwrap a ref if it's a ref, otherwise return the value
-function unref(ref) {
-  return isRef(ref) ? ref.value : ref;
-}
-
-// Create a reactive proxy for an object
-function reactive(target) {
-  if (!isObject(target)) {
-    return target;
-  }
-
-  const handler = {
-    get(target, key, receiver) {
-      const result = Reflect.get(target, key, receiver);
-      if (isRef(result)) {
-        return result.value;
-      }
-      track(target, key);
-      return isObject(result) ? reactive(result) : result;
-    },
-    set(target, key, value, receiver) {
-      const oldValue = target[key];
-      if (isRef(oldValue) && !isRef(value)) {
-        oldValue.value = value;
-        return true;
-      } else {
-        const result = Reflect.set(
-          target,
-          key,
-          value,
-          receiver
-        );
-        if (result && oldValue !== value) {
-          trigger(target, key);
-        }
-        return result;
-      }
-    },
-    deleteProperty(target, key) {
-      const hadKey = Object.prototype.hasOwnProperty.call(
-        target,
-        key
-      );
-      const result = Reflect.deleteProperty(target, key);
-      if (result && hadKey) {
-        trigger(target, key);
-      }
-      return result;
-    },
-  };
-
-  // Special handling for arrays
-  if (Array.isArray(target)) {
-    handler.set = function (target, key, value, receiver) {
-      const oldValue = target[key];
-      const result = Reflect.set(
-        target,
-        key,
-        value,
-        receiver
-      );
-      if (result && oldValue !== value) {
-        trigger(target, key);
-        if (key !== 'length') {
-          trigger(target, 'length');
-        }
-      }
-      return result;
-    };
-  }
-
-  return new Proxy(target, handler);
-}
-
-// Create a reactive reference
-function ref(initialValue) {
-  return reactive({
-    __v_isRef: true,
-    value: initialValue,
-  });
-}
-
-// Job queue for batching updates
-const queue = new Set();
-let isFlushPending = false;
-
-// Queue a job for execution in the next microtask
-function queueJob(job) {
-  queue.add(job);
-  if (!isFlushPending) {
-    isFlushPending = true;
-    Promise.resolve().then(flushJobs);
-  }
-}
-
-// Execute all queued jobs
-function flushJobs() {
-  for (const job of queue) {
-    job();
-  }
-  queue.clear();
-  isFlushPending = false;
-}
-
-// Methods to abstract effect stack operations
-function pushEffect(effect) {
-  effectStack.push(effect);
-  activeEffect = effect;
-}
-
-function popEffect() {
-  effectStack.pop();
-  activeEffect = effectStack[effectStack.length - 1];
-}
+// Demo Store
+const useStore = createStore(
+  'main',
+  () => {
+    const count = ref(0);
+    const todos = ref([]);
+
+    const doubleCount = computed(() => count.value * 2, {
+      name: 'doubleCount',
+    });
 
-// Function to create and run a watchEffect
-function watchEffect(effect) {
-  let cleanup;
-  const wrappedEffect = () => {
-    if (cleanup) {
-      cleanup();
+    function increment() {
+      count.value++;
     }
-    pushEffect(wrappedEffect);
-    cleanup = undefined;
-    const registerCleanup = (fn) => {
-      cleanup = fn;
-    };
-    try {
-      effect(registerCleanup);
-    } finally {
-      popEffect();
-    }
-  };
 
-  queueJob(wrappedEffect);
-
-  return () => {
-    queue.delete(wrappedEffect);
-    if (cleanup) cleanup();
-    removeEffect(wrappedEffect);
-  };
-}
-
-// Function to create a computed reference
-function computed(getter) {
-  let value;
-  let dirty = true;
+    function addTodo(text) {
+      todos.value.push({
+        id: Date.now(),
+        text,
+        completed: false,
+      });
+    }
 
-  const computedRef = {
-    get value() {
-      if (dirty) {
-        pushEffect(computedEffect);
-        value = getter();
-        popEffect();
-        dirty = false;
+    function toggleTodo(id) {
+      const todo = todos.value.find((t) => t.id === id);
+      if (todo) {
+        todo.completed = !todo.completed;
       }
-      track(computedRef, 'value');
-      return value;
-    },
-  };
-
-  const computedEffect = () => {
-    dirty = true;
-    trigger(computedRef, 'value');
-  };
-
-  return computedRef;
-}
-
-// Composable Store Implementation
-function createStore(setup) {
-  return reactive(setup());
-}
-
-// Demo Store
-const useStore = createStore(() => {
-  const count = ref(0);
-  const todos = ref([]);
-
-  const doubleCount = computed(() => count.value * 2);
-
-  function increment() {
-    count.value++;
-  }
-
-  function addTodo(text) {
-    todos.value.push({
-      id: Date.now(),
-      text,
-      completed: false,
-    });
-  }
-
-  function toggleTodo(id) {
-    const todo = todos.value.find((t) => t.id === id);
-    if (todo) {
-      todo.completed = !todo.completed;
     }
-  }
 
+    return {
+      count,
+      todos,
+      doubleCount,
+      increment,
+      addTodo,
+      toggleTodo,
+    };
+  },
+  { persist: true }
+);
+
+// Undo/redo for everything in the store
+const storeHistory = createHistory(useStore.$state);
+
+// A ref backed by the todo input itself, so effects can depend
+// on what's been typed
+const todoText = customRef((track, trigger) => {
+  const input = document.getElementById('todoInput');
+  input.addEventListener('input', trigger);
   return {
-    count,
-    todos,
-    doubleCount,
-    increment,
-    addTodo,
-    toggleTodo,
+    get() {
+      track();
+      return input.value;
+    },
+    set(value) {
+      input.value = value;
+      trigger();
+    },
   };
 });
 
-// UI Updates
-watchEffect(() => {
-  document.getElementById('count').textContent =
-    useStore.count;
-});
-
-watchEffect(() => {
-  document.getElementById('doubleCount').textContent =
-    useStore.doubleCount.value;
+// Report failing effects without stopping the rest of the UI
+onError((err, effect, info) => {
+  console.error(`Error in ${info}:`, err);
 });
 
-watchEffect(() => {
+// UI Updates
+// Names show up in error messages and in exportGraphDOT()
+watchEffect(
+  () => {
+    document.getElementById('count').textContent =
+      useStore.count;
+  },
+  { name: 'renderCount' }
+);
+
+watchEffect(
+  () => {
+    document.getElementById('doubleCount').textContent =
+      useStore.doubleCount;
+  },
+  { name: 'renderDoubleCount' }
+);
+
+watchEffect(function renderTodos() {
   const todoList = document.getElementById('todoList');
   todoList.innerHTML = '';
   useStore.todos.forEach((todo) => {
@@ -273,18 +99,49 @@ watchEffect(() => {
   });
 });
 
+watchEffect(
+  () => {
+    document.getElementById('undo').disabled =
+      !storeHistory.canUndo.value;
+    document.getElementById('redo').disabled =
+      !storeHistory.canRedo.value;
+  },
+  { name: 'renderHistory' }
+);
+
+// No empty todos
+watchEffect(
+  () => {
+    document.querySelector('#todoForm button').disabled =
+      !todoText.value.trim();
+  },
+  { name: 'renderAddTodo' }
+);
+
 // Event Listeners
+document
+  .getElementById('undo')
+  .addEventListener('click', storeHistory.undo);
+
+document
+  .getElementById('redo')
+  .addEventListener('click', storeHistory.redo);
+
 document
   .getElementById('increment')
   .addEventListener('click', useStore.increment);
 
+// Puts the count and the todos back to how they started
+document
+  .getElementById('reset')
+  .addEventListener('click', () => useStore.$reset());
+
 document
   .getElementById('todoForm')
   .addEventListener('submit', (e) => {
     e.preventDefault();
-    const input = document.getElementById('todoInput');
-    if (input.value.trim()) {
-      useStore.addTodo(input.value.trim());
-      input.value = '';
+    if (todoText.value.trim()) {
+      useStore.addTodo(todoText.value.trim());
+      todoText.value = '';
     }
   });
@@ -0,0 +1,2738 @@
+// Global variables for reactivity system
+let activeEffect;
+// target -> key -> dep. A WeakMap, so unused targets can be
+// garbage collected along with their dependencies.
+const targetMap = new WeakMap();
+// Track nested effects
+const effectStack = [];
+// Dependency keys for effects that iterate over a target
+const ITERATE_KEY = Symbol('iterate');
+const MAP_KEY_ITERATE_KEY = Symbol('Map key iterate');
+// Tracking can be paused, e.g. while array methods mutate
+let shouldTrack = true;
+const trackStack = [];
+// Effects collected while a batch of triggers is open
+let batchDepth = 0;
+const batchedEffects = new Set();
+// Watchers of whole state trees, see watchMutations()
+const mutationWatchers = new Set();
+
+function pauseTracking() {
+  trackStack.push(shouldTrack);
+  shouldTrack = false;
+}
+
+function resetTracking() {
+  const last = trackStack.pop();
+  shouldTrack = last === undefined ? true : last;
+}
+
+// Group triggers so each effect is only queued once
+function startBatch() {
+  batchDepth++;
+}
+
+function endBatch() {
+  if (--batchDepth > 0) return;
+  const effects = [...batchedEffects];
+  batchedEffects.clear();
+  effects.forEach((effect) => effect.scheduler());
+}
+
+// A dep is the set of effects that read `target[key]`.
+// It remembers where it lives so effects can remove themselves.
+function createDep(target, key) {
+  const dep = new Set();
+  dep.target = target;
+  dep.key = key;
+  return dep;
+}
+
+// Track dependencies for reactive properties
+// `type` is one of 'get', 'has' or 'iterate'
+function track(target, key, type = 'get') {
+  if (activeEffect && shouldTrack) {
+    let depsMap = targetMap.get(target);
+    if (!depsMap) {
+      targetMap.set(target, (depsMap = new Map()));
+    }
+    let dep = depsMap.get(key);
+    if (!dep) {
+      depsMap.set(key, (dep = createDep(target, key)));
+    }
+    if (!dep.has(activeEffect)) {
+      dep.add(activeEffect);
+      // Each effect keeps a list of the deps it belongs to
+      activeEffect.deps.push(dep);
+      if (activeEffect.onTrack) {
+        activeEffect.onTrack({
+          effect: activeEffect,
+          target,
+          key,
+          type,
+        });
+      }
+    }
+  }
+}
+
+// Trigger effects for reactive properties
+// `type` is one of 'set', 'add', 'delete' or 'clear'
+function trigger(
+  target,
+  key,
+  type = 'set',
+  newValue,
+  oldValue
+) {
+  emitDevtoolsEvent('trigger', {
+    target,
+    key,
+    type,
+    newValue,
+    oldValue,
+  });
+  // Nothing runs until every computed that depends on this is
+  // marked dirty, so even a sync effect never sees a stale one
+  startBatch();
+  try {
+    notifyMutationWatchers({
+      target,
+      key,
+      type,
+      newValue,
+      oldValue,
+    });
+    triggerEffects(target, key, type, newValue, oldValue);
+  } finally {
+    endBatch();
+  }
+}
+
+// Collect the effects that depend on what changed and tell them
+function triggerEffects(
+  target,
+  key,
+  type,
+  newValue,
+  oldValue
+) {
+  const depsMap = targetMap.get(target);
+  if (!depsMap) return;
+  const effects = new Set();
+  const addEffects = (dep) => {
+    if (dep) dep.forEach((effect) => effects.add(effect));
+  };
+
+  if (type === 'clear') {
+    // Everything that read the collection is affected
+    depsMap.forEach(addEffects);
+  } else if (Array.isArray(target)) {
+    if (key === 'length') {
+      // Shrinking an array removes every index past the new length
+      depsMap.forEach((dep, depKey) => {
+        if (
+          depKey === 'length' ||
+          depKey === ITERATE_KEY ||
+          (isIntegerKey(depKey) &&
+            Number(depKey) >= newValue)
+        ) {
+          addEffects(dep);
+        }
+      });
+    } else {
+      addEffects(depsMap.get(key));
+      addEffects(depsMap.get(ITERATE_KEY));
+      if (type === 'add') addEffects(depsMap.get('length'));
+    }
+  } else {
+    addEffects(depsMap.get(key));
+    const isMap = target instanceof Map;
+    // Adding or removing entries changes what iteration sees
+    if (type === 'add' || type === 'delete') {
+      addEffects(depsMap.get(ITERATE_KEY));
+      if (isMap) {
+        addEffects(depsMap.get(MAP_KEY_ITERATE_KEY));
+      }
+    } else if (isMap) {
+      // Map iteration also yields values
+      addEffects(depsMap.get(ITERATE_KEY));
+    }
+  }
+
+  effects.forEach((effect) => {
+    // Remembered for error messages about runaway effects
+    effect.lastTrigger = { target, key };
+    if (effect.onTrigger) {
+      effect.onTrigger({
+        effect,
+        target,
+        key,
+        type,
+        newValue,
+        oldValue,
+      });
+    }
+    notifyEffect(effect, DIRTY);
+  });
+}
+
+// How stale an effect is. DIRTY means something it read changed.
+// MAYBE_DIRTY means a computed it read may have changed, which is
+// only known once that computed is evaluated again.
+const CLEAN = 0;
+const MAYBE_DIRTY = 1;
+const DIRTY = 2;
+
+// Tell an effect that something it read has (maybe) changed.
+// Computeds are only flagged, so even in a batch this happens right
+// away, and their readers are told they may be stale. Nothing is
+// evaluated until it's read, see computed().
+function notifyEffect(effect, level) {
+  const wasClean = effect.dirtyLevel === CLEAN;
+  if (level > effect.dirtyLevel) effect.dirtyLevel = level;
+  if (effect.kind === 'computed') {
+    // Readers already know if it wasn't clean
+    if (!wasClean) return;
+    const target = effect.computed;
+    const depsMap = targetMap.get(target);
+    const dep = depsMap && depsMap.get('value');
+    if (!dep) return;
+    // Reported like any trigger, but without values: the new one
+    // isn't known until the computed is read
+    emitDevtoolsEvent('trigger', {
+      target,
+      key: 'value',
+      type: 'set',
+    });
+    [...dep].forEach((reader) => {
+      reader.lastTrigger = { target, key: 'value' };
+      if (reader.onTrigger) {
+        reader.onTrigger({
+          effect: reader,
+          target,
+          key: 'value',
+          type: 'set',
+        });
+      }
+      notifyEffect(reader, MAYBE_DIRTY);
+    });
+  } else {
+    // Scheduled once the batch trigger() opened ends. Each effect
+    // decides when it runs, see createScheduler().
+    batchedEffects.add(effect);
+  }
+}
+
+// Whether a computed that `effect` read has a new value since.
+// Checking evaluates those computeds if needed, upstream first,
+// so each one is evaluated at most once per change.
+function computedDepsChanged(effect) {
+  for (const [source, version] of effect.depVersions) {
+    try {
+      source.refresh();
+    } catch (err) {
+      // Already reported. Run, so the effect sees the error too.
+      return true;
+    }
+    if (source.version !== version) return true;
+  }
+  return false;
+}
+
+// Called when a scheduled effect is about to run. One that was
+// only told "maybe" is skipped when none of its computeds changed.
+function needsRun(effect) {
+  if (
+    effect.dirtyLevel === MAYBE_DIRTY &&
+    !computedDepsChanged(effect)
+  ) {
+    effect.dirtyLevel = CLEAN;
+    return false;
+  }
+  return true;
+}
+
+// Utility function to check if a value is an object
+function isObject(val) {
+  return val !== null && typeof val === 'object';
+}
+
+// Whether a write changes a value. Unlike `!==`, writing NaN
+// over NaN is no change, while 0 and -0 differ.
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
+
+// Check if an object has a property of its own
+function hasOwn(val, key) {
+  return Object.prototype.hasOwnProperty.call(val, key);
+}
+
+// Well-known symbols like Symbol.iterator are never tracked
+const builtInSymbols = new Set(
+  Object.getOwnPropertyNames(Symbol)
+    .map((key) => Symbol[key])
+    .filter((value) => typeof value === 'symbol')
+);
+
+function isBuiltInSymbol(key) {
+  return typeof key === 'symbol' && builtInSymbols.has(key);
+}
+
+// Check if a property key is an array index like '3'
+function isIntegerKey(key) {
+  return (
+    typeof key === 'string' &&
+    key !== 'NaN' &&
+    key[0] !== '-' &&
+    String(parseInt(key, 10)) === key
+  );
+}
+
+// Check if a value is a ref
+function isRef(value) {
+  return !!(value && value.__v_isRef);
+}
+
+// Unwrap a ref if it's a ref, otherwise return the value
+function unref(ref) {
+  return isRef(ref) ? ref.value : ref;
+}
+
+// Map raw objects to their proxies, and proxies back to raw objects
+const reactiveMap = new WeakMap();
+const rawMap = new WeakMap();
+
+// Check if a value is a reactive proxy
+function isReactive(value) {
+  return rawMap.has(value);
+}
+
+// Check if a value is any kind of proxy created by this system
+function isProxy(value) {
+  return isReactive(value);
+}
+
+// Get the original object behind a proxy
+function toRaw(observed) {
+  const raw = rawMap.get(observed);
+  return raw ? toRaw(raw) : observed;
+}
+
+// Mark an object so it is never made reactive
+function markRaw(value) {
+  if (Object.isExtensible(value)) {
+    Object.defineProperty(value, '__v_skip', {
+      value: true,
+      configurable: true,
+    });
+  }
+  return value;
+}
+
+// Check if a value is a Map, Set, WeakMap or WeakSet
+function isCollection(val) {
+  return (
+    val instanceof Map ||
+    val instanceof Set ||
+    val instanceof WeakMap ||
+    val instanceof WeakSet
+  );
+}
+
+// Only plain objects, arrays and collections get a proxy. Built-ins
+// like Date or RegExp keep their internal slots on the raw object,
+// so their methods fail when called on a proxy.
+function canObserve(val) {
+  const type = Object.prototype.toString.call(val);
+  return (
+    type === '[object Object]' ||
+    Array.isArray(val) ||
+    isCollection(val)
+  );
+}
+
+// Reactive versions of the collection methods.
+// `this` is the proxy, so each method works on its raw target.
+const collectionInstrumentations = {
+  get(key) {
+    const target = toRaw(this);
+    key = toRaw(key);
+    track(target, key, 'get');
+    return reactive(target.get(key));
+  },
+  has(key) {
+    const target = toRaw(this);
+    key = toRaw(key);
+    track(target, key, 'has');
+    return target.has(key);
+  },
+  add(value) {
+    const target = toRaw(this);
+    value = toRaw(value);
+    if (!target.has(value)) {
+      recordChange(target, value);
+      target.add(value);
+      trigger(target, value, 'add', value);
+    }
+    return this;
+  },
+  set(key, value) {
+    const target = toRaw(this);
+    key = toRaw(key);
+    value = toRaw(value);
+    const hadKey = target.has(key);
+    const oldValue = target.get(key);
+    recordChange(target, key);
+    target.set(key, value);
+    if (!hadKey) {
+      trigger(target, key, 'add', value);
+    } else if (hasChanged(value, oldValue)) {
+      trigger(target, key, 'set', value, oldValue);
+    }
+    return this;
+  },
+  delete(key) {
+    const target = toRaw(this);
+    key = toRaw(key);
+    const hadKey = target.has(key);
+    const oldValue = target.get
+      ? target.get(key)
+      : undefined;
+    if (hadKey) recordChange(target, key);
+    const result = target.delete(key);
+    if (hadKey) {
+      trigger(target, key, 'delete', undefined, oldValue);
+    }
+    return result;
+  },
+  clear() {
+    const target = toRaw(this);
+    const hadItems = target.size !== 0;
+    if (hadItems) recordChange(target);
+    target.clear();
+    if (hadItems) {
+      trigger(target, undefined, 'clear');
+    }
+  },
+  forEach(callback, thisArg) {
+    const target = toRaw(this);
+    track(target, ITERATE_KEY, 'iterate');
+    target.forEach((value, key) => {
+      callback.call(
+        thisArg,
+        reactive(value),
+        reactive(key),
+        this
+      );
+    });
+  },
+};
+
+// Iterators hand out reactive values, just like get() does
+['keys', 'values', 'entries', Symbol.iterator].forEach(
+  (method) => {
+    collectionInstrumentations[method] = function (
+      ...args
+    ) {
+      const target = toRaw(this);
+      const isMap = target instanceof Map;
+      const isPair =
+        method === 'entries' ||
+        (method === Symbol.iterator && isMap);
+      track(
+        target,
+        method === 'keys' && isMap
+          ? MAP_KEY_ITERATE_KEY
+          : ITERATE_KEY,
+        'iterate'
+      );
+      const inner = target[method](...args);
+      return {
+        next() {
+          const { value, done } = inner.next();
+          if (done) return { value, done };
+          return {
+            value: isPair
+              ? [reactive(value[0]), reactive(value[1])]
+              : reactive(value),
+            done,
+          };
+        },
+        [Symbol.iterator]() {
+          return this;
+        },
+      };
+    };
+  }
+);
+
+// Proxy handler for collections. Their internal slots only
+// exist on the raw object, so every method is redirected.
+const collectionHandler = {
+  get(target, key, receiver) {
+    if (key === 'size') {
+      track(target, ITERATE_KEY, 'iterate');
+      return Reflect.get(target, key, target);
+    }
+    if (
+      hasOwn(collectionInstrumentations, key) &&
+      key in target
+    ) {
+      return Reflect.get(
+        collectionInstrumentations,
+        key,
+        receiver
+      );
+    }
+    return Reflect.get(target, key, target);
+  },
+};
+
+// Read an array as a whole, depending on all of its items
+function reactiveReadArray(array) {
+  const raw = toRaw(array);
+  track(raw, ITERATE_KEY, 'iterate');
+  return raw.map((item) =>
+    isRef(item) ? item.value : reactive(item)
+  );
+}
+
+// Reactive versions of the array methods.
+// `this` is the proxy, so each method works on its raw target.
+const arrayInstrumentations = {};
+
+// Search methods compare raw values, so both the proxy and the
+// original object of an item can be found
+['includes', 'indexOf', 'lastIndexOf'].forEach((method) => {
+  arrayInstrumentations[method] = function (...args) {
+    const arr = toRaw(this);
+    track(arr, ITERATE_KEY, 'iterate');
+    const result = arr[method](...args);
+    if (result === -1 || result === false) {
+      return arr[method](...args.map(toRaw));
+    }
+    return result;
+  };
+});
+
+// Iteration methods depend on the array as a whole, so they
+// re-run on any structural change
+[
+  'forEach',
+  'map',
+  'filter',
+  'find',
+  'findIndex',
+  'some',
+  'every',
+].forEach((method) => {
+  arrayInstrumentations[method] = function (fn, thisArg) {
+    const array = this;
+    return reactiveReadArray(array)[method]((item, index) =>
+      fn.call(thisArg, item, index, array)
+    );
+  };
+});
+
+arrayInstrumentations.reduce = function (fn, ...initial) {
+  const array = this;
+  return reactiveReadArray(array).reduce(
+    (acc, item, index) => fn(acc, item, index, array),
+    ...initial
+  );
+};
+
+[
+  'join',
+  'keys',
+  'values',
+  'entries',
+  Symbol.iterator,
+].forEach((method) => {
+  arrayInstrumentations[method] = function (...args) {
+    return reactiveReadArray(this)[method](...args);
+  };
+});
+
+// Mutation methods read `length` while they run. Tracking is paused
+// so an effect that pushes doesn't depend on (and re-trigger) itself,
+// and the triggers of every internal step are batched together.
+['push', 'pop', 'shift', 'unshift', 'splice'].forEach(
+  (method) => {
+    arrayInstrumentations[method] = function (...args) {
+      pauseTracking();
+      startBatch();
+      try {
+        return toRaw(this)[method].apply(this, args);
+      } finally {
+        // Resume tracking first, so effects that run when the
+        // batch ends (sync ones) collect their dependencies
+        resetTracking();
+        endBatch();
+      }
+    };
+  }
+);
+
+// Reordering works on the raw array, then triggers the moved indices
+['sort', 'reverse'].forEach((method) => {
+  arrayInstrumentations[method] = function (...args) {
+    const arr = toRaw(this);
+    const before = arr.slice();
+    // Any index may move, so a transaction keeps all of them
+    before.forEach((item, index) =>
+      recordChange(arr, String(index))
+    );
+    arr[method](...args);
+    startBatch();
+    arr.forEach((item, index) => {
+      if (item !== before[index]) {
+        trigger(
+          arr,
+          String(index),
+          'set',
+          item,
+          before[index]
+        );
+      }
+    });
+    endBatch();
+    return this;
+  };
+});
+
+// Transactions that are open, innermost last
+const transactionStack = [];
+
+// Add a change to `tx`, unless it already has an older value
+// for the same key
+function addChange(tx, change) {
+  let keys = tx.recorded.get(change.target);
+  if (!keys) {
+    keys = new Set();
+    tx.recorded.set(change.target, keys);
+  }
+  if (keys.has(change.key)) return;
+  keys.add(change.key);
+  tx.changes.push(change);
+}
+
+// Remember what target[key] was before the open transaction
+// first changed it. Called by the set and deleteProperty traps,
+// the collection methods, sort() and reverse().
+function recordChange(target, key) {
+  const tx = transactionStack[transactionStack.length - 1];
+  if (!tx) return;
+  if (target instanceof Map || target instanceof Set) {
+    // Copied whole, so a rollback also keeps the order
+    addChange(tx, {
+      target,
+      key: ITERATE_KEY,
+      entries: [...target],
+    });
+    return;
+  }
+  if (isCollection(target)) {
+    // WeakMaps and WeakSets can't be copied, only their keys
+    addChange(tx, {
+      target,
+      key,
+      hadKey: target.has(key),
+      oldValue: target.get ? target.get(key) : key,
+    });
+    return;
+  }
+  // Writing an index can change the length too, and the length
+  // must be put back after the index
+  if (Array.isArray(target) && key !== 'length') {
+    recordChange(target, 'length');
+  }
+  addChange(tx, {
+    target,
+    key,
+    hadKey: hasOwn(target, key),
+    oldValue: target[key],
+  });
+}
+
+// Put back what a transaction changed, newest change first.
+// Writes go to the raw targets so they aren't recorded again.
+function rollback(tx) {
+  for (let i = tx.changes.length - 1; i >= 0; i--) {
+    const change = tx.changes[i];
+    if (isCollection(change.target)) {
+      rollbackCollection(change);
+      continue;
+    }
+    const { target, key, hadKey, oldValue } = change;
+    const hasKey = hasOwn(target, key);
+    const value = target[key];
+    if (hadKey) {
+      target[key] = oldValue;
+      if (!hasKey) {
+        trigger(target, key, 'add', oldValue);
+      } else if (hasChanged(oldValue, value)) {
+        trigger(target, key, 'set', oldValue, value);
+      }
+    } else if (hasKey) {
+      delete target[key];
+      trigger(target, key, 'delete', undefined, value);
+    }
+  }
+}
+
+function rollbackCollection(change) {
+  const { target, key, hadKey, oldValue, entries } = change;
+  if (entries) {
+    target.clear();
+    entries.forEach((entry) => {
+      if (target instanceof Map) {
+        target.set(entry[0], entry[1]);
+      } else {
+        target.add(entry);
+      }
+    });
+    trigger(target, undefined, 'clear');
+    return;
+  }
+  const hasKey = target.has(key);
+  const value = target.get ? target.get(key) : key;
+  if (hadKey) {
+    if (target.set) {
+      target.set(key, oldValue);
+    } else {
+      target.add(key);
+    }
+    if (!hasKey) {
+      trigger(target, key, 'add', oldValue);
+    } else if (hasChanged(oldValue, value)) {
+      trigger(target, key, 'set', oldValue, value);
+    }
+  } else if (hasKey) {
+    target.delete(key);
+    trigger(target, key, 'delete', undefined, value);
+  }
+}
+
+// Run `fn` as one change. Effects only see the result once it
+// has finished, and if it throws (or the promise it returns
+// rejects) every property it set or deleted is put back.
+// Nested transactions roll back on their own, or become part of
+// the outer one when they succeed.
+//
+// An async transaction holds back every trigger until it settles,
+// and records changes made by other code in the meantime too.
+function transaction(fn) {
+  const tx = { changes: [], recorded: new Map() };
+  transactionStack.push(tx);
+  startBatch();
+
+  const finish = (failed) => {
+    transactionStack.splice(
+      transactionStack.indexOf(tx),
+      1
+    );
+    try {
+      if (failed) {
+        rollback(tx);
+      } else {
+        // The outer transaction can still roll these back
+        const parent =
+          transactionStack[transactionStack.length - 1];
+        if (parent) {
+          tx.changes.forEach((change) =>
+            addChange(parent, change)
+          );
+        }
+      }
+    } finally {
+      endBatch();
+    }
+  };
+
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    finish(true);
+    throw err;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then(
+      (value) => {
+        finish(false);
+        return value;
+      },
+      (err) => {
+        finish(true);
+        throw err;
+      }
+    );
+  }
+  finish(false);
+  return result;
+}
+
+// Create a reactive proxy for an object
+function reactive(target) {
+  if (
+    !isObject(target) ||
+    target.__v_skip ||
+    !canObserve(target)
+  ) {
+    return target;
+  }
+  // Don't wrap a proxy in another proxy
+  if (isReactive(target)) {
+    return target;
+  }
+  const existingProxy = reactiveMap.get(target);
+  if (existingProxy) {
+    return existingProxy;
+  }
+
+  const handler = {
+    get(target, key, receiver) {
+      if (
+        Array.isArray(target) &&
+        hasOwn(arrayInstrumentations, key)
+      ) {
+        return Reflect.get(
+          arrayInstrumentations,
+          key,
+          receiver
+        );
+      }
+      const result = Reflect.get(target, key, receiver);
+      // Neither well-known symbols nor the ref flag ever change
+      if (isBuiltInSymbol(key) || key === '__v_isRef') {
+        return result;
+      }
+      if (isRef(result)) {
+        return result.value;
+      }
+      track(target, key, 'get');
+      return isObject(result) ? reactive(result) : result;
+    },
+    set(target, key, value, receiver) {
+      const oldValue = target[key];
+      if (isRef(oldValue) && !isRef(value)) {
+        oldValue.value = value;
+        return true;
+      } else {
+        recordChange(target, key);
+        const hadKey = hasOwn(target, key);
+        const result = Reflect.set(
+          target,
+          key,
+          value,
+          receiver
+        );
+        if (result) {
+          // Refs can bring their own idea of equal, see ref()
+          const equals = target.__v_equals || Object.is;
+          if (!hadKey) {
+            trigger(target, key, 'add', value);
+          } else if (!equals(value, oldValue)) {
+            trigger(target, key, 'set', value, oldValue);
+          }
+        }
+        return result;
+      }
+    },
+    deleteProperty(target, key) {
+      recordChange(target, key);
+      const hadKey = hasOwn(target, key);
+      const oldValue = target[key];
+      const result = Reflect.deleteProperty(target, key);
+      if (result && hadKey) {
+        trigger(target, key, 'delete', undefined, oldValue);
+      }
+      return result;
+    },
+    // `key in state`
+    has(target, key) {
+      const result = Reflect.has(target, key);
+      if (!isBuiltInSymbol(key)) {
+        track(target, key, 'has');
+      }
+      return result;
+    },
+    // Object.keys(), for...in, JSON.stringify() and friends
+    ownKeys(target) {
+      track(target, ITERATE_KEY, 'iterate');
+      return Reflect.ownKeys(target);
+    },
+  };
+
+  // Special handling for arrays
+  if (Array.isArray(target)) {
+    handler.set = function (target, key, value, receiver) {
+      recordChange(target, key);
+      const oldValue = target[key];
+      const hadKey = isIntegerKey(key)
+        ? Number(key) < target.length
+        : hasOwn(target, key);
+      const result = Reflect.set(
+        target,
+        key,
+        value,
+        receiver
+      );
+      if (result) {
+        if (!hadKey) {
+          trigger(target, key, 'add', value);
+        } else if (hasChanged(value, oldValue)) {
+          trigger(target, key, 'set', value, oldValue);
+        }
+      }
+      return result;
+    };
+  }
+
+  const proxy = new Proxy(
+    target,
+    isCollection(target) ? collectionHandler : handler
+  );
+  reactiveMap.set(target, proxy);
+  rawMap.set(proxy, target);
+  return proxy;
+}
+
+// Create a reactive reference.
+// `options.equals(value, oldValue)` decides whether a write is a
+// change worth triggering. It defaults to Object.is().
+function ref(initialValue, options = {}) {
+  const r = { __v_isRef: true, value: initialValue };
+  if (options.equals) {
+    // Not enumerable, so it isn't part of the ref's data
+    Object.defineProperty(r, '__v_equals', {
+      value: options.equals,
+    });
+  }
+  return reactive(r);
+}
+
+// Create a ref that decides for itself when it tracks and
+// triggers. `factory(track, trigger)` returns `{ get, set }`:
+//
+//   function debouncedRef(value, delay = 200) {
+//     let timer;
+//     return customRef((track, trigger) => ({
+//       get() {
+//         track();
+//         return value;
+//       },
+//       set(newValue) {
+//         clearTimeout(timer);
+//         timer = setTimeout(() => {
+//           value = newValue;
+//           trigger();
+//         }, delay);
+//       },
+//     }));
+//   }
+function customRef(factory) {
+  let get;
+  let set;
+  // Created before calling the factory, which may track or
+  // trigger right away
+  const r = {
+    __v_isRef: true,
+    get value() {
+      return get();
+    },
+    set value(newValue) {
+      set(newValue);
+    },
+  };
+  ({ get, set } = factory(
+    () => track(r, 'value'),
+    () => trigger(r, 'value')
+  ));
+  return r;
+}
+
+// Job queues for batching updates. Pre-flush jobs run first,
+// post-flush jobs run after them (e.g. once the DOM is updated).
+const queue = new Set();
+const postQueue = new Set();
+let isFlushPending = false;
+const resolvedPromise = Promise.resolve();
+let currentFlushPromise = null;
+
+// Schedule a flush in the next microtask
+function queueFlush() {
+  if (!isFlushPending) {
+    isFlushPending = true;
+    currentFlushPromise = resolvedPromise.then(flushJobs);
+  }
+}
+
+// Queue a job for execution in the next microtask
+function queueJob(job) {
+  queue.add(job);
+  queueFlush();
+}
+
+// Queue a job to run after all pre-flush jobs
+function queuePostFlushCb(job) {
+  postQueue.add(job);
+  queueFlush();
+}
+
+// Remove a job that hasn't run yet from both queues
+function invalidateJob(job) {
+  queue.delete(job);
+  postQueue.delete(job);
+  // Or held back by an open batch, waiting to be scheduled
+  batchedEffects.delete(job);
+}
+
+// How many times a job may run in a single flush before we
+// assume it keeps triggering itself
+const RECURSION_LIMIT = 100;
+
+// Describe an effect for error messages, e.g. `watchEffect "render"`
+function describeEffect(effect) {
+  const kind = effect.kind || 'effect';
+  return effect.label ? `${kind} "${effect.label}"` : kind;
+}
+
+// Describe a reactive target for error messages
+function describeTarget(target) {
+  if (isRef(target)) return 'ref';
+  if (target.constructor && target.constructor.name) {
+    return target.constructor.name;
+  }
+  return 'Object';
+}
+
+// Count a run of `job`. Once it passes the limit, report it and
+// return true so the flush drops it instead of looping forever.
+function checkRecursiveUpdates(runCounts, job) {
+  const count = (runCounts.get(job) || 0) + 1;
+  runCounts.set(job, count);
+  if (count <= RECURSION_LIMIT) return false;
+  if (count === RECURSION_LIMIT + 1) {
+    const name = describeEffect(job);
+    let message =
+      `Maximum recursive updates exceeded in ${name}. ` +
+      `It ran more than ${RECURSION_LIMIT} times in one flush.`;
+    if (job.lastTrigger) {
+      const key = String(job.lastTrigger.key);
+      const target = describeTarget(job.lastTrigger.target);
+      message += ` Last triggered by "${key}" on ${target}.`;
+    }
+    handleError(new Error(message), job, 'scheduler flush');
+  }
+  return true;
+}
+
+// Execute all queued jobs. A job that throws is reported and
+// skipped, so one failing effect can't stall the whole queue.
+function flushJobs() {
+  const runCounts = new Map();
+  try {
+    // Jobs may queue more jobs, so keep going until both are empty
+    while (queue.size || postQueue.size) {
+      for (const job of queue) {
+        queue.delete(job);
+        if (checkRecursiveUpdates(runCounts, job)) continue;
+        callWithErrorHandling(job, job, 'scheduler flush');
+      }
+      for (const job of postQueue) {
+        postQueue.delete(job);
+        if (checkRecursiveUpdates(runCounts, job)) continue;
+        callWithErrorHandling(job, job, 'scheduler flush');
+      }
+    }
+  } finally {
+    isFlushPending = false;
+    currentFlushPromise = null;
+    // Pick up anything left behind if we were interrupted
+    if (queue.size || postQueue.size) {
+      queueFlush();
+    }
+  }
+}
+
+// Wait until the pending flush (if any) has finished
+function nextTick(fn) {
+  const promise = currentFlushPromise || resolvedPromise;
+  return fn ? promise.then(fn) : promise;
+}
+
+// Create the function that schedules a job for a flush mode:
+// 'pre' (default) and 'post' queue it, 'sync' runs it right away
+function createScheduler(job, flush = 'pre') {
+  if (flush === 'sync') return job;
+  if (flush === 'post') return () => queuePostFlushCb(job);
+  return () => queueJob(job);
+}
+
+// Remove an effect from all of its dependencies
+function removeEffect(wrappedEffect) {
+  wrappedEffect.deps.forEach((dep) => {
+    dep.delete(wrappedEffect);
+    if (dep.size === 0) {
+      const depsMap = targetMap.get(dep.target);
+      if (depsMap) depsMap.delete(dep.key);
+    }
+  });
+  wrappedEffect.deps.length = 0;
+  wrappedEffect.depVersions.clear();
+}
+
+// Methods to abstract effect stack operations
+function pushEffect(effect) {
+  effectStack.push(effect);
+  activeEffect = effect;
+  // An effect always collects its dependencies, even when it runs
+  // while tracking is paused, e.g. in the middle of a push()
+  trackStack.push(shouldTrack);
+  shouldTrack = true;
+  // Every run of an effect starts here, and brings it up to date
+  effect.dirtyLevel = CLEAN;
+  effect.runs++;
+  emitDevtoolsEvent('run', effect);
+}
+
+function popEffect() {
+  effectStack.pop();
+  activeEffect = effectStack[effectStack.length - 1];
+  resetTracking();
+}
+
+// The scope that new effects are collected into
+let activeEffectScope;
+
+// Create a scope that collects every effect created inside run(),
+// so they can all be stopped together
+function effectScope(detached = false) {
+  const scope = {
+    active: true,
+    parent: detached ? undefined : activeEffectScope,
+    // Stop functions of the effects created in this scope
+    effects: [],
+    cleanups: [],
+    scopes: [],
+    // Handlers registered with onErrorCaptured()
+    errorHandlers: [],
+    run(fn) {
+      if (!scope.active) {
+        console.warn(
+          'Cannot run an inactive effect scope.'
+        );
+        return;
+      }
+      const previousScope = activeEffectScope;
+      activeEffectScope = scope;
+      try {
+        return fn();
+      } finally {
+        activeEffectScope = previousScope;
+      }
+    },
+    stop(fromParent = false) {
+      if (!scope.active) return;
+      scope.effects.forEach((stop) => stop());
+      scope.cleanups.forEach((cleanup) => cleanup());
+      scope.scopes.forEach((child) => child.stop(true));
+      scope.effects.length = 0;
+      scope.cleanups.length = 0;
+      scope.scopes.length = 0;
+      // Detach from the parent, unless it is stopping us
+      if (scope.parent && !fromParent) {
+        const index = scope.parent.scopes.indexOf(scope);
+        if (index !== -1) {
+          scope.parent.scopes.splice(index, 1);
+        }
+      }
+      scope.active = false;
+    },
+  };
+  if (scope.parent) {
+    scope.parent.scopes.push(scope);
+  }
+  return scope;
+}
+
+// Get the scope that is currently collecting effects
+function getCurrentScope() {
+  return activeEffectScope;
+}
+
+// Register a callback to run when the current scope stops
+function onScopeDispose(fn) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn);
+  } else {
+    console.warn(
+      'onScopeDispose() was called with no active effect scope.'
+    );
+  }
+}
+
+// Global error handlers registered with onError()
+const errorHandlers = [];
+// A computed's error is reported where it happens, then again
+// by the effect reading it. Remember it so it's reported once.
+const reportedErrors = new WeakSet();
+
+// Register an app-level handler for errors thrown by effects,
+// watchers and computeds. Returns a function to remove it.
+function onError(handler) {
+  errorHandlers.push(handler);
+  return () => {
+    const index = errorHandlers.indexOf(handler);
+    if (index !== -1) errorHandlers.splice(index, 1);
+  };
+}
+
+// Register a handler for errors thrown by effects in the current
+// scope or its child scopes. Return false to stop propagation.
+function onErrorCaptured(handler) {
+  if (activeEffectScope) {
+    activeEffectScope.errorHandlers.push(handler);
+  } else {
+    console.warn(
+      'onErrorCaptured() was called with no active effect scope.'
+    );
+  }
+}
+
+// Call an error handler without letting it throw
+function callErrorHandler(handler, err, effect, info) {
+  try {
+    return handler(err, effect, info);
+  } catch (handlerError) {
+    console.error('Error in error handler:', handlerError);
+  }
+}
+
+// Report an error from `effect`. `info` says where it happened,
+// e.g. 'watchEffect', 'watch callback' or 'computed getter'.
+function handleError(err, effect, info) {
+  if (isObject(err)) {
+    if (reportedErrors.has(err)) return;
+    reportedErrors.add(err);
+  }
+  // Scopes get the first look, innermost first
+  let scope = effect && effect.scope;
+  while (scope) {
+    for (const handler of scope.errorHandlers) {
+      if (
+        callErrorHandler(handler, err, effect, info) ===
+        false
+      ) {
+        return;
+      }
+    }
+    scope = scope.parent;
+  }
+  if (errorHandlers.length) {
+    errorHandlers.forEach((handler) =>
+      callErrorHandler(handler, err, effect, info)
+    );
+  } else {
+    console.error(`Unhandled error in ${info}:`, err);
+  }
+}
+
+// Call fn, reporting anything it throws instead of rethrowing
+function callWithErrorHandling(
+  fn,
+  effect,
+  info,
+  args = []
+) {
+  try {
+    return fn(...args);
+  } catch (err) {
+    handleError(err, effect, info);
+  }
+}
+
+// Every live effect, for introspection. Held through WeakRefs,
+// so a computed nobody reads anymore can still be collected.
+const effectRegistry = new Set();
+let nextEffectId = 0;
+
+// Give an effect an id and add it to the registry
+function registerEffect(effect) {
+  effect.id = ++nextEffectId;
+  effect.runs = 0;
+  // Not run yet, so dirty. See notifyEffect()
+  effect.dirtyLevel = DIRTY;
+  // Version of each computed it read, see computed()
+  effect.depVersions = new Map();
+  effect.weakRef = new WeakRef(effect);
+  effectRegistry.add(effect.weakRef);
+}
+
+function unregisterEffect(effect) {
+  effectRegistry.delete(effect.weakRef);
+}
+
+// Get all live effects, oldest first
+function getLiveEffects() {
+  const effects = [];
+  effectRegistry.forEach((weakRef) => {
+    const effect = weakRef.deref();
+    if (effect) {
+      effects.push(effect);
+    } else {
+      effectRegistry.delete(weakRef);
+    }
+  });
+  return effects;
+}
+
+// Add an effect's stop function to the active scope
+function recordEffectScope(stop) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(stop);
+  }
+}
+
+// Function to create and run a watchEffect.
+// Options: `flush` ('pre', 'post' or 'sync'), `name`, and the
+// `onTrack`/`onTrigger` debugging hooks.
+function watchEffect(effect, options = {}) {
+  let cleanup;
+  let stopped = false;
+  const wrappedEffect = () => {
+    if (stopped || !needsRun(wrappedEffect)) return;
+    if (cleanup) {
+      callWithErrorHandling(
+        cleanup,
+        wrappedEffect,
+        'cleanup function'
+      );
+    }
+    // Drop the old dependencies and collect fresh ones, so
+    // branches that are no longer taken stop triggering this
+    removeEffect(wrappedEffect);
+    pushEffect(wrappedEffect);
+    cleanup = undefined;
+    const registerCleanup = (fn) => {
+      cleanup = fn;
+    };
+    try {
+      effect(registerCleanup);
+    } catch (err) {
+      handleError(err, wrappedEffect, 'watchEffect');
+    } finally {
+      popEffect();
+    }
+  };
+  wrappedEffect.deps = [];
+  wrappedEffect.scope = activeEffectScope;
+  wrappedEffect.kind = 'watchEffect';
+  wrappedEffect.label = options.name || effect.name;
+  wrappedEffect.onTrack = options.onTrack;
+  wrappedEffect.onTrigger = options.onTrigger;
+  registerEffect(wrappedEffect);
+  wrappedEffect.scheduler = createScheduler(
+    wrappedEffect,
+    options.flush
+  );
+
+  // The first run is scheduled like any later one, once a
+  // store being set up has its hydrated state
+  if (deferredWatchStarts) {
+    deferredWatchStarts.push(wrappedEffect.scheduler);
+  } else {
+    wrappedEffect.scheduler();
+  }
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    invalidateJob(wrappedEffect);
+    if (cleanup) {
+      callWithErrorHandling(
+        cleanup,
+        wrappedEffect,
+        'cleanup function'
+      );
+    }
+    removeEffect(wrappedEffect);
+    unregisterEffect(wrappedEffect);
+  };
+  recordEffectScope(stop);
+
+  return stop;
+}
+
+// Recursively read every nested property so it gets tracked
+function traverse(value, seen = new Set()) {
+  if (!isObject(value)) return value;
+  if (seen.has(value)) return value;
+  seen.add(value);
+  if (isRef(value)) {
+    traverse(value.value, seen);
+  } else if (
+    Array.isArray(value) ||
+    value instanceof Map ||
+    value instanceof Set
+  ) {
+    // for...in sees nothing in a collection, iterate it instead
+    value.forEach((item) => traverse(item, seen));
+  } else {
+    for (const key in value) {
+      traverse(value[key], seen);
+    }
+  }
+  return value;
+}
+
+// While a store that has hydrated state is being set up, its
+// watchers and effects wait here to take their first value, see
+// createStore()
+let deferredWatchStarts = null;
+
+// Function to watch specific sources and run a callback on change.
+// Takes the same options as watchEffect, plus `immediate`, `deep`
+// and `once`. `equals(value, oldValue)` decides whether the source
+// changed, it defaults to Object.is().
+function watch(source, callback, options = {}) {
+  const {
+    immediate = false,
+    once = false,
+    flush = 'pre',
+    equals = Object.is,
+  } = options;
+  let deep = !!options.deep;
+  let isMultiSource = false;
+  let getter;
+
+  if (isRef(source)) {
+    getter = () => source.value;
+  } else if (isReactive(source)) {
+    // Watching a reactive object is always deep
+    getter = () => source;
+    deep = true;
+  } else if (Array.isArray(source)) {
+    isMultiSource = true;
+    getter = () =>
+      source.map((s) => {
+        if (isRef(s)) return s.value;
+        if (isReactive(s)) return traverse(s);
+        if (typeof s === 'function') return s();
+        return s;
+      });
+  } else if (typeof source === 'function') {
+    getter = source;
+  } else {
+    console.warn('Invalid watch source:', source);
+    getter = () => undefined;
+  }
+
+  let oldValue = isMultiSource ? [] : undefined;
+  let cleanup;
+  let stopped = false;
+  // The first run of an immediate watcher always calls back
+  let forceCallback = immediate;
+  const onCleanup = (fn) => {
+    cleanup = fn;
+  };
+
+  // Run the getter while collecting its dependencies
+  const run = () => {
+    removeEffect(job);
+    pushEffect(job);
+    try {
+      const value = getter();
+      return deep ? traverse(value) : value;
+    } finally {
+      popEffect();
+    }
+  };
+
+  const isChanged = (newValue) =>
+    isMultiSource
+      ? newValue.some((v, i) => !equals(v, oldValue[i]))
+      : !equals(newValue, oldValue);
+
+  const job = () => {
+    if (stopped || !needsRun(job)) return;
+    let newValue;
+    try {
+      newValue = run();
+    } catch (err) {
+      handleError(err, job, 'watch getter');
+      return;
+    }
+    if (forceCallback || deep || isChanged(newValue)) {
+      forceCallback = false;
+      if (cleanup) {
+        callWithErrorHandling(
+          cleanup,
+          job,
+          'cleanup function'
+        );
+        cleanup = undefined;
+      }
+      callWithErrorHandling(
+        callback,
+        job,
+        'watch callback',
+        [newValue, oldValue, onCleanup]
+      );
+      oldValue = newValue;
+      if (once) stop();
+    }
+  };
+  job.deps = [];
+  job.scope = activeEffectScope;
+  job.kind = 'watch';
+  job.label =
+    options.name ||
+    (typeof source === 'function' ? source.name : '');
+  job.onTrack = options.onTrack;
+  job.onTrigger = options.onTrigger;
+  registerEffect(job);
+  job.scheduler = createScheduler(job, flush);
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    invalidateJob(job);
+    if (cleanup) {
+      callWithErrorHandling(
+        cleanup,
+        job,
+        'cleanup function'
+      );
+    }
+    removeEffect(job);
+    unregisterEffect(job);
+  };
+  recordEffectScope(stop);
+
+  const start = () => {
+    if (stopped) return;
+    if (immediate) {
+      if (flush === 'post') {
+        queuePostFlushCb(job);
+      } else {
+        job();
+      }
+    } else {
+      oldValue = callWithErrorHandling(
+        run,
+        job,
+        'watch getter'
+      );
+    }
+  };
+  if (deferredWatchStarts) {
+    deferredWatchStarts.push(start);
+  } else {
+    start();
+  }
+
+  return stop;
+}
+
+// Tell the watchers whose tree `event.target` belongs to.
+// Objects written into a tree become part of it.
+function notifyMutationWatchers(event) {
+  mutationWatchers.forEach((watcher) => {
+    if (!watcher.owned.has(event.target)) return;
+    watcher.adopt(event.newValue);
+    if (watcher.ignoring) return;
+    watcher.events.push(event);
+    // Called back once the batch trigger() opened ends
+    batchedEffects.add(watcher);
+  });
+}
+
+// Call `callback(events)` after `source`, a reactive object or
+// ref, or anything nested in it changes. Each event is
+// `{ target, key, type, newValue, oldValue }`, and the changes of
+// a batch (array methods, transactions) come in one call.
+// Unlike a deep watch() it never re-reads the tree: it remembers
+// which raw objects belong to it. Objects stay part of it after
+// they're removed, so writing to one is still reported.
+// Returns `{ stop, ignore(fn), flush() }`, where `ignore` runs
+// `fn` without reporting the changes it makes, and `flush`
+// reports what an open batch is still holding back.
+function watchMutations(source, callback) {
+  const watcher = {
+    owned: new WeakSet(),
+    events: [],
+    ignoring: false,
+  };
+
+  // Add a value and everything nested in it to the tree
+  watcher.adopt = (value) => {
+    const raw = toRaw(value);
+    if (
+      !isObject(raw) ||
+      raw.__v_skip ||
+      !canObserve(raw) ||
+      watcher.owned.has(raw)
+    ) {
+      return;
+    }
+    watcher.owned.add(raw);
+    if (raw instanceof Map) {
+      raw.forEach((item, key) => {
+        watcher.adopt(key);
+        watcher.adopt(item);
+      });
+    } else if (raw instanceof Set || Array.isArray(raw)) {
+      raw.forEach((item) => watcher.adopt(item));
+    } else {
+      Object.keys(raw).forEach((key) =>
+        watcher.adopt(raw[key])
+      );
+    }
+  };
+
+  // Runs right away, or when the batch that held it back ends
+  watcher.scheduler = () => {
+    const events = watcher.events;
+    watcher.events = [];
+    if (!events.length) return;
+    callWithErrorHandling(
+      callback,
+      null,
+      'mutation callback',
+      [events]
+    );
+  };
+
+  watcher.adopt(source);
+  mutationWatchers.add(watcher);
+
+  const stop = () => {
+    mutationWatchers.delete(watcher);
+    batchedEffects.delete(watcher);
+  };
+  recordEffectScope(stop);
+
+  function ignore(fn) {
+    const wasIgnoring = watcher.ignoring;
+    watcher.ignoring = true;
+    try {
+      return fn();
+    } finally {
+      watcher.ignoring = wasIgnoring;
+    }
+  }
+
+  return { stop, ignore, flush: watcher.scheduler };
+}
+
+// Computeds that are being evaluated right now, outermost first
+const computedStack = [];
+
+// Function to create a computed reference.
+// Pass a getter, or `{ get, set }` for a writable computed.
+// `options.name` labels it in error messages, and
+// `options.onTrack`/`options.onTrigger` are debugging hooks.
+// Computeds are lazy: a change only marks them dirty, and they're
+// evaluated when read. Each evaluation that gives a new value
+// bumps `version`, which is how readers tell whether it actually
+// changed. `options.equals(value, oldValue)` decides what counts
+// as new, Object.is by default.
+function computed(getterOrOptions, options = {}) {
+  let getter;
+  let setter = () => {
+    console.warn(
+      'Write operation failed: computed value is readonly'
+    );
+  };
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions;
+  } else {
+    getter = getterOrOptions.get;
+    // `{ get }` alone is readonly too
+    if (getterOrOptions.set) setter = getterOrOptions.set;
+  }
+  const equals = options.equals || Object.is;
+  let value;
+  let error;
+  let stopped = false;
+
+  const computedRef = {
+    __v_isRef: true,
+    get value() {
+      if (stopped) {
+        // A stopped computed no longer tracks anything
+        return getter();
+      }
+      // Track first, so a reader still depends on this computed
+      // even when evaluating it throws
+      track(computedRef, 'value');
+      try {
+        refresh();
+      } finally {
+        // Remember which version the reader saw
+        if (activeEffect && shouldTrack) {
+          activeEffect.depVersions.set(
+            computedEffect,
+            computedEffect.version
+          );
+        }
+      }
+      return value;
+    },
+    set value(newValue) {
+      setter(newValue);
+    },
+  };
+
+  // Bring the value up to date. When only a computed it reads
+  // may have changed, check those first and skip evaluating if
+  // none did.
+  function refresh() {
+    // Reading itself while evaluating means a cycle, like
+    // `a` reading `b` reading `a`. Report the whole path.
+    if (computedStack.includes(computedEffect)) {
+      const path = computedStack
+        .slice(computedStack.indexOf(computedEffect))
+        .concat(computedEffect)
+        .map(describeEffect)
+        .join(' -> ');
+      throw new Error(
+        `Cycle detected between computeds: ${path}`
+      );
+    }
+    if (
+      computedEffect.dirtyLevel === MAYBE_DIRTY &&
+      !computedDepsChanged(computedEffect)
+    ) {
+      computedEffect.dirtyLevel = CLEAN;
+    }
+    if (computedEffect.dirtyLevel !== CLEAN) evaluate();
+    // Every reader fails the same way until something changes
+    if (error) throw error;
+  }
+
+  function evaluate() {
+    removeEffect(computedEffect);
+    pushEffect(computedEffect);
+    computedStack.push(computedEffect);
+    try {
+      const newValue = getter();
+      if (
+        computedEffect.version === 0 ||
+        !equals(newValue, value)
+      ) {
+        value = newValue;
+        computedEffect.version++;
+      }
+      error = undefined;
+    } catch (err) {
+      // Report it once as this computed's error. It's kept,
+      // so readers fail too, until a dependency changes and
+      // it's evaluated again.
+      error = err;
+      computedEffect.version++;
+      handleError(err, computedEffect, 'computed getter');
+    } finally {
+      computedStack.pop();
+      popEffect();
+    }
+  }
+
+  // Marking the computed dirty is cheap, so it happens right away
+  // and anything reading it afterwards never sees a stale value
+  const computedEffect = () =>
+    notifyEffect(computedEffect, DIRTY);
+  computedEffect.deps = [];
+  computedEffect.scope = activeEffectScope;
+  computedEffect.kind = 'computed';
+  computedEffect.label = options.name || getter.name;
+  computedEffect.onTrack = options.onTrack;
+  computedEffect.onTrigger = options.onTrigger;
+  computedEffect.computed = computedRef;
+  computedEffect.version = 0;
+  computedEffect.refresh = refresh;
+  registerEffect(computedEffect);
+  computedEffect.scheduler = computedEffect;
+
+  recordEffectScope(() => {
+    stopped = true;
+    removeEffect(computedEffect);
+    unregisterEffect(computedEffect);
+  });
+
+  return computedRef;
+}
+
+// Ids that label reactive targets in the dependency graph
+const targetIds = new WeakMap();
+let nextTargetId = 0;
+
+function describeTargetWithId(target) {
+  let id = targetIds.get(target);
+  if (id === undefined) {
+    targetIds.set(target, (id = ++nextTargetId));
+  }
+  return `${describeTarget(target)}#${id}`;
+}
+
+// Take a read-only snapshot of the dependency graph. Each effect
+// lists what it depends on and, for computeds, who depends on it.
+// `sources` lists every tracked target + key with its subscribers.
+function getDependencyGraph() {
+  const effects = getLiveEffects();
+  // A dependency on a computed points at the computed itself
+  const computedIds = new Map();
+  effects.forEach((effect) => {
+    if (effect.computed) {
+      computedIds.set(effect.computed, effect.id);
+    }
+  });
+
+  const sources = new Map();
+  const graphEffects = effects.map((effect) => {
+    const deps = effect.deps.map((dep) => {
+      if (computedIds.has(dep.target)) {
+        return { computed: computedIds.get(dep.target) };
+      }
+      const target = describeTargetWithId(dep.target);
+      const key = String(dep.key);
+      const sourceId = `${target}.${key}`;
+      if (!sources.has(sourceId)) {
+        sources.set(sourceId, {
+          id: sourceId,
+          target,
+          key,
+          subscribers: [...dep].map((e) => e.id),
+        });
+      }
+      return { source: sourceId, target, key };
+    });
+
+    let subscribers = [];
+    if (effect.computed) {
+      const depsMap = targetMap.get(effect.computed);
+      const dep = depsMap && depsMap.get('value');
+      if (dep) subscribers = [...dep].map((e) => e.id);
+    }
+
+    return {
+      id: effect.id,
+      kind: effect.kind,
+      name: effect.label || '',
+      deps,
+      subscribers,
+    };
+  });
+
+  return {
+    effects: graphEffects,
+    sources: [...sources.values()],
+  };
+}
+
+// Export the dependency graph as JSON
+function exportGraphJSON(space = 2) {
+  return JSON.stringify(getDependencyGraph(), null, space);
+}
+
+// Quote an id or label for the DOT format
+function quoteDOT(text) {
+  const escaped = String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"');
+  return `"${escaped}"`;
+}
+
+// Export the dependency graph in Graphviz DOT format. Render it
+// with e.g. `dot -Tsvg graph.dot > graph.svg`.
+function exportGraphDOT() {
+  const { effects, sources } = getDependencyGraph();
+  const lines = ['digraph reactivity {', '  rankdir=LR;'];
+
+  // Tracked target + key pairs are boxes
+  sources.forEach((source) => {
+    lines.push(`  ${quoteDOT(source.id)} [shape=box];`);
+  });
+  // Effects are rounded boxes, computeds are ellipses
+  effects.forEach((effect) => {
+    const id = quoteDOT(`e${effect.id}`);
+    const label = quoteDOT(
+      describeEffect({
+        kind: effect.kind,
+        label: effect.name,
+      })
+    );
+    const shape =
+      effect.kind === 'computed'
+        ? 'shape=ellipse'
+        : 'shape=box, style=rounded';
+    lines.push(`  ${id} [label=${label}, ${shape}];`);
+  });
+  // Edges point from a dependency to the effect that reads it
+  effects.forEach((effect) => {
+    const to = quoteDOT(`e${effect.id}`);
+    effect.deps.forEach((dep) => {
+      const from = quoteDOT(
+        dep.computed ? `e${dep.computed}` : dep.source
+      );
+      lines.push(`  ${from} -> ${to};`);
+    });
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+// Devtools integration. Listeners are called with (type, payload)
+// for 'store', 'trigger', 'run' and 'action' events.
+const devtoolsListeners = new Set();
+
+// Listen to devtools events. Returns a function to stop listening.
+function onDevtoolsEvent(listener) {
+  devtoolsListeners.add(listener);
+  return () => devtoolsListeners.delete(listener);
+}
+
+function emitDevtoolsEvent(type, payload) {
+  devtoolsListeners.forEach((listener) => {
+    try {
+      listener(type, payload);
+    } catch (err) {
+      console.error('Error in devtools listener:', err);
+    }
+  });
+}
+
+// Every store that hasn't been disposed yet, by id
+const storeRegistry = new Map();
+let nextStoreId = 0;
+
+// State from hydrate() waiting for its store to be created
+const hydrationState = new Map();
+
+function getStores() {
+  return [...storeRegistry.values()];
+}
+
+function getStore(id) {
+  return storeRegistry.get(id);
+}
+
+function isPlainObject(value) {
+  return (
+    Object.prototype.toString.call(value) ===
+    '[object Object]'
+  );
+}
+
+// Deep copy of a value with the proxies and refs taken out, e.g.
+// to remember a store's initial state
+function snapshot(value, seen = new Map()) {
+  value = toRaw(value);
+  if (isRef(value)) return snapshot(value.value, seen);
+  if (!isObject(value)) return value;
+  if (seen.has(value)) return seen.get(value);
+  if (value instanceof Date) return new Date(value);
+  let copy;
+  if (Array.isArray(value)) {
+    copy = [];
+    seen.set(value, copy);
+    value.forEach((item) =>
+      copy.push(snapshot(item, seen))
+    );
+  } else if (value instanceof Map) {
+    copy = new Map();
+    seen.set(value, copy);
+    value.forEach((item, key) =>
+      copy.set(snapshot(key, seen), snapshot(item, seen))
+    );
+  } else if (value instanceof Set) {
+    copy = new Set();
+    seen.set(value, copy);
+    value.forEach((item) => copy.add(snapshot(item, seen)));
+  } else {
+    copy = {};
+    seen.set(value, copy);
+    Object.keys(value).forEach((key) => {
+      copy[key] = snapshot(value[key], seen);
+    });
+  }
+  return copy;
+}
+
+// Write `patch` into `target`. Plain objects are merged key by
+// key, anything else (arrays included) is replaced.
+function mergeState(target, patch) {
+  Object.keys(patch).forEach((key) => {
+    const value = patch[key];
+    if (
+      isPlainObject(value) &&
+      isPlainObject(target[key])
+    ) {
+      mergeState(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+}
+
+// Objects applySnapshot() updates in place instead of replacing
+function isPatchable(value) {
+  return (
+    Array.isArray(value) ||
+    value instanceof Map ||
+    value instanceof Set ||
+    isPlainObject(value)
+  );
+}
+
+function applyValue(target, key, value) {
+  const current = target[key];
+  if (
+    isPatchable(current) &&
+    isPatchable(value) &&
+    Object.prototype.toString.call(current) ===
+      Object.prototype.toString.call(value)
+  ) {
+    applySnapshot(current, value);
+  } else if (hasChanged(value, current)) {
+    target[key] = snapshot(value);
+  }
+}
+
+// Make `target` match a snapshot() of it, writing only what
+// differs, so nested objects that didn't change keep their
+// identity and their effects don't re-run
+function applySnapshot(target, snap) {
+  if (Array.isArray(target)) {
+    snap.forEach((value, index) =>
+      applyValue(target, index, value)
+    );
+    target.length = snap.length;
+  } else if (target instanceof Map) {
+    target.clear();
+    snap.forEach((value, key) =>
+      target.set(snapshot(key), snapshot(value))
+    );
+  } else if (target instanceof Set) {
+    target.clear();
+    snap.forEach((value) => target.add(snapshot(value)));
+  } else {
+    Object.keys(target).forEach((key) => {
+      if (!hasOwn(snap, key)) delete target[key];
+    });
+    Object.keys(snap).forEach((key) =>
+      applyValue(target, key, snap[key])
+    );
+  }
+}
+
+// Plugins applied to every store created from now on
+const plugins = [];
+
+// Extend stores with a plugin. It's called as
+// `plugin({ store, options, id })` for each new store and can:
+// - return an object of properties to add to the store. Refs and
+//   reactive objects among them become part of its state.
+// - wrap actions with store.$onAction() or by replacing them
+// - register a teardown with onScopeDispose(), which runs when
+//   the store is disposed
+// Returns a function that removes the plugin.
+function use(plugin) {
+  plugins.push(plugin);
+  return () => {
+    const index = plugins.indexOf(plugin);
+    if (index !== -1) plugins.splice(index, 1);
+  };
+}
+
+// Composable Store Implementation
+// `id` names the store in the registry and in devtools. Leave it
+// out, as in createStore(() => ...), to get a generated one.
+//
+// What setup() returns decides what's what: refs and reactive
+// objects are state, functions are actions and computeds are
+// getters. `options` is passed on to plugins.
+function createStore(id, setup, options = {}) {
+  if (typeof id === 'function') {
+    options = setup || {};
+    setup = id;
+    id = `store-${++nextStoreId}`;
+  }
+  if (storeRegistry.has(id)) {
+    throw new Error(
+      `A store with id "${id}" already exists`
+    );
+  }
+
+  let store;
+  // Computeds and watchers created in setup belong to the store,
+  // so $dispose() can stop all of them at once
+  const scope = effectScope(true);
+  // With hydrated state, watchers and effects only take their
+  // first value once it's in, so restoring it isn't seen as a
+  // change
+  const hydratedState = hydrationState.get(id);
+  const outerWatchStarts = deferredWatchStarts;
+  const watchStarts = [];
+  if (hydratedState) deferredWatchStarts = watchStarts;
+  let setupResult;
+  try {
+    setupResult = scope.run(setup);
+  } finally {
+    deferredWatchStarts = outerWatchStarts;
+  }
+
+  const state = reactive({});
+  const initialState = {};
+
+  // Add a ref or reactive object to the state. Reactive objects
+  // are held in a ref, so replacing one through $state or
+  // $patch() replaces it on the store too.
+  function addState(key, value) {
+    const stateRef = isRef(value) ? value : ref(value);
+    state[key] = stateRef;
+    initialState[key] = snapshot(stateRef);
+    return stateRef;
+  }
+
+  Object.keys(setupResult).forEach((key) => {
+    const value = setupResult[key];
+    if (isReactive(value)) {
+      setupResult[key] = addState(key, value);
+    }
+  });
+
+  const subscriptions = new Set();
+  const actionSubscriptions = new Set();
+  let isPatching = false;
+  // What changed since subscribers were last notified
+  let events = [];
+
+  // Stop a listener when the scope it was added in is stopped
+  function addListener(listeners, listener, detached) {
+    listeners.add(listener);
+    const remove = () => listeners.delete(listener);
+    if (!detached && getCurrentScope()) {
+      onScopeDispose(remove);
+    }
+    return remove;
+  }
+
+  function notify(type, payload) {
+    const mutation = { type, storeId: id, events };
+    if (payload !== undefined) mutation.payload = payload;
+    events = [];
+    subscriptions.forEach((callback) =>
+      callWithErrorHandling(
+        callback,
+        null,
+        'store subscriber',
+        [mutation, state]
+      )
+    );
+  }
+
+  // Direct writes, like `store.count++`, notify subscribers one
+  // by one. Batched writes (array methods) notify once.
+  const mutations = scope.run(() =>
+    watchMutations(state, (newEvents) => {
+      events.push(...newEvents);
+      if (!isPatching) notify('direct');
+    })
+  );
+
+  // Change several things at once, with a single notification.
+  // Pass a partial state to merge, or a synchronous function that
+  // mutates the state it's given. It's all or nothing, see
+  // transaction().
+  function $patch(partialStateOrMutator) {
+    const isFunction =
+      typeof partialStateOrMutator === 'function';
+    // Inside an outer batch, like a transaction, changes are
+    // only heard when it ends. Take them now instead, so earlier
+    // writes are reported on their own and the patch's with it.
+    mutations.flush();
+    isPatching = true;
+    try {
+      // A patch that throws halfway is rolled back
+      transaction(() => {
+        if (isFunction) {
+          partialStateOrMutator(state);
+        } else {
+          mergeState(state, partialStateOrMutator);
+        }
+      });
+      mutations.flush();
+    } catch (err) {
+      // Nothing changed, so there's nothing to report
+      mutations.flush();
+      events = [];
+      throw err;
+    } finally {
+      isPatching = false;
+    }
+    if (isFunction) {
+      notify('patch function');
+    } else {
+      notify('patch object', partialStateOrMutator);
+    }
+  }
+
+  // Put the state back to what setup() returned
+  function $reset() {
+    $patch(($state) => {
+      Object.keys(initialState).forEach((key) => {
+        $state[key] = snapshot(initialState[key]);
+      });
+    });
+  }
+
+  // Call `callback(mutation, state)` after every change. Returns
+  // a function to unsubscribe.
+  function $subscribe(callback, { detached = false } = {}) {
+    return addListener(subscriptions, callback, detached);
+  }
+
+  // Call `callback({ store, name, args, after, onError })` before
+  // every action. `after(fn)` and `onError(fn)` register hooks for
+  // the result or error, awaited for async actions.
+  function $onAction(callback, detached = false) {
+    return addListener(
+      actionSubscriptions,
+      callback,
+      detached
+    );
+  }
+
+  function runHooks(hooks, arg) {
+    hooks.forEach((hook) =>
+      callWithErrorHandling(
+        hook,
+        null,
+        'store action hook',
+        [arg]
+      )
+    );
+  }
+
+  function runAction(name, action, args) {
+    emitDevtoolsEvent('action', { store, name, args });
+    const afterHooks = [];
+    const errorHooks = [];
+    actionSubscriptions.forEach((callback) =>
+      callWithErrorHandling(
+        callback,
+        null,
+        'store action hook',
+        [
+          {
+            store,
+            name,
+            args,
+            after: (fn) => afterHooks.push(fn),
+            onError: (fn) => errorHooks.push(fn),
+          },
+        ]
+      )
+    );
+
+    let result;
+    try {
+      result = action.apply(store, args);
+    } catch (err) {
+      runHooks(errorHooks, err);
+      throw err;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => {
+          runHooks(afterHooks, value);
+          return value;
+        },
+        (err) => {
+          runHooks(errorHooks, err);
+          throw err;
+        }
+      );
+    }
+    runHooks(afterHooks, result);
+    return result;
+  }
+
+  Object.keys(setupResult).forEach((name) => {
+    const action = setupResult[name];
+    if (typeof action !== 'function') return;
+    setupResult[name] = function (...args) {
+      return runAction(name, action, args);
+    };
+  });
+
+  Object.assign(setupResult, {
+    $id: id,
+    $patch,
+    $reset,
+    $subscribe,
+    $onAction,
+    $dispose() {
+      scope.stop();
+      subscriptions.clear();
+      actionSubscriptions.clear();
+      storeRegistry.delete(id);
+      emitDevtoolsEvent('store', store);
+    },
+  });
+  // Reading $state gives the live state. Assigning to it
+  // replaces the values it lists, as one patch.
+  Object.defineProperty(setupResult, '$state', {
+    get: () => state,
+    set: (newState) => {
+      $patch(($state) => Object.assign($state, newState));
+    },
+  });
+
+  store = reactive(setupResult);
+
+  // Plugins run in the store's scope, so whatever they set up is
+  // torn down by $dispose() along with the store
+  plugins.forEach((plugin) => {
+    const extensions = scope.run(() =>
+      callWithErrorHandling(plugin, null, 'store plugin', [
+        { store, options, id },
+      ])
+    );
+    if (!isObject(extensions)) return;
+    Object.keys(extensions).forEach((key) => {
+      const value = extensions[key];
+      store[key] = isReactive(value)
+        ? addState(key, value)
+        : value;
+    });
+  });
+
+  // State rendered on the server wins over the defaults and
+  // whatever plugins restored
+  if (hydratedState) {
+    store.$patch(hydratedState);
+    hydrationState.delete(id);
+  }
+  watchStarts.forEach((start) => start());
+
+  storeRegistry.set(id, store);
+  emitDevtoolsEvent('store', store);
+  return store;
+}
+
+// Storage adapter that keeps everything in memory, e.g. for Node
+// where there's no localStorage. Any object with getItem,
+// setItem and removeItem works as an adapter.
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) =>
+      items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
+}
+
+// localStorage when it's there and usable. It's missing in Node
+// and throws when the browser has storage disabled.
+function getDefaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined')
+      return localStorage;
+  } catch (err) {
+    // Fall through to memory
+  }
+  return createMemoryStorage();
+}
+
+// Copy the values at dotted `paths`, e.g. ['todos', 'user.name'],
+// into a new object of the same shape. Missing paths are skipped.
+function pickPaths(source, paths) {
+  const result = {};
+  paths.forEach((path) => {
+    const keys = path.split('.');
+    let value = source;
+    for (const key of keys) {
+      if (!isObject(value) || !(key in value)) return;
+      value = value[key];
+    }
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return result;
+}
+
+// Bring a saved state up to `version` by running each migration
+// after the saved one in order. `migrations[2]` turns a version 1
+// state into a version 2 state, and so on.
+function migrateState(state, from, version, migrations) {
+  if (from > version) {
+    throw new Error(
+      `Saved version ${from} is newer than version ${version}`
+    );
+  }
+  for (let v = from + 1; v <= version; v++) {
+    if (migrations[v]) state = migrations[v](state);
+  }
+  return state;
+}
+
+// Plugin that saves store state and restores it on creation.
+// Stores opt in with a `persist` option, either `true` or:
+// - key: storage key, defaults to `store:<id>`
+// - paths: dotted paths to save, defaults to the whole state
+// - storage: adapter, defaults to localStorage when there is one
+// - debounce: ms to wait after a change before writing (100)
+// - version and migrations: see migrateState()
+//
+//   use(persistPlugin);
+//   createStore('todos', setup, { persist: { paths: ['todos'] } });
+function persistPlugin({ store, options, id }) {
+  if (!options.persist) return;
+  const {
+    key = `store:${id}`,
+    paths,
+    storage = getDefaultStorage(),
+    debounce = 100,
+    version = 0,
+    migrations = {},
+  } = options.persist === true ? {} : options.persist;
+  const pick = (state) =>
+    paths ? pickPaths(state, paths) : state;
+
+  // A payload that can't be used is not worth failing setup over,
+  // the store just starts from its defaults
+  try {
+    const raw = storage.getItem(key);
+    if (raw != null) {
+      const payload = JSON.parse(raw);
+      if (
+        !isPlainObject(payload) ||
+        !isPlainObject(payload.state)
+      ) {
+        throw new Error('Payload is not a saved state');
+      }
+      const saved = migrateState(
+        decodeState(payload.state),
+        payload.version || 0,
+        version,
+        migrations
+      );
+      store.$patch(pick(saved));
+    }
+  } catch (err) {
+    console.warn(
+      `Could not restore store "${id}", using its defaults:`,
+      err
+    );
+  }
+
+  let timer;
+  const write = () => {
+    clearTimeout(timer);
+    timer = undefined;
+    callWithErrorHandling(
+      () =>
+        storage.setItem(
+          key,
+          JSON.stringify({
+            version,
+            state: encodeState(
+              snapshot(pick(store.$state))
+            ),
+          })
+        ),
+      null,
+      'persist write'
+    );
+  };
+
+  // Heard right away, so a change is never stuck in the queue
+  // when the store is disposed
+  watchMutations(store.$state, () => {
+    if (debounce > 0) {
+      clearTimeout(timer);
+      timer = setTimeout(write, debounce);
+    } else {
+      write();
+    }
+  });
+
+  // Don't lose a write that's still waiting
+  onScopeDispose(() => {
+    if (timer !== undefined) write();
+  });
+}
+
+// Undo/redo for a reactive object or ref, e.g. a store's $state.
+// Every change made in one tick, or inside transaction(), is one
+// step. Only the last `maxDepth` steps are kept.
+//
+//   const history = createHistory(store.$state);
+//   store.count++;
+//   await nextTick();
+//   history.undo();
+function createHistory(source, { maxDepth = 100 } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  // Snapshot of the state as of the last step
+  let current = snapshot(source);
+  let pending = false;
+  let transactionDepth = 0;
+  const canUndo = ref(false);
+  const canRedo = ref(false);
+
+  function updateFlags() {
+    canUndo.value = undoStack.length > 0;
+    canRedo.value = redoStack.length > 0;
+  }
+
+  // Turn the changes made since the last step into a new step
+  function commit() {
+    if (!pending || transactionDepth > 0) return;
+    pending = false;
+    undoStack.push(current);
+    if (undoStack.length > maxDepth) undoStack.shift();
+    redoStack.length = 0;
+    current = snapshot(source);
+    updateFlags();
+  }
+
+  // Every change is heard right away. The step itself is only
+  // taken once the tick's flush is done.
+  const mutations = watchMutations(source, () => {
+    pending = true;
+    queuePostFlushCb(commit);
+  });
+
+  // Going back or forth isn't a step of its own. Ignoring the
+  // writes themselves, rather than setting a flag until they're
+  // heard, also holds inside an outer batch, where they're only
+  // heard once it ends.
+  function restore(snap) {
+    mutations.ignore(() => {
+      startBatch();
+      try {
+        if (isRef(source)) {
+          applyValue(source, 'value', snap);
+        } else {
+          applySnapshot(source, snap);
+        }
+      } finally {
+        endBatch();
+      }
+    });
+  }
+
+  function undo() {
+    // Changes from this tick count as a step of their own
+    commit();
+    if (!undoStack.length) return;
+    redoStack.push(current);
+    current = undoStack.pop();
+    restore(current);
+    updateFlags();
+  }
+
+  function redo() {
+    commit();
+    if (!redoStack.length) return;
+    undoStack.push(current);
+    current = redoStack.pop();
+    restore(current);
+    updateFlags();
+  }
+
+  // Make every change inside `fn` a single step, even across
+  // ticks when `fn` is async
+  function transaction(fn) {
+    transactionDepth++;
+    const end = () => {
+      transactionDepth--;
+      commit();
+    };
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      end();
+      throw err;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.finally(end);
+    }
+    end();
+    return result;
+  }
+
+  // Forget every step, keeping the current state
+  function clear() {
+    commit();
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateFlags();
+  }
+
+  return {
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    transaction,
+    clear,
+    stop: mutations.stop,
+  };
+}
+
+// Server-side rendering and persistPlugin(). State is saved as
+// JSON, with what JSON can't hold tagged, e.g.
+// { __type: 'Date', value }.
+function encodeState(value) {
+  if (value instanceof Date) {
+    return { __type: 'Date', value: value.toISOString() };
+  }
+  if (value instanceof Map) {
+    return {
+      __type: 'Map',
+      entries: [...value].map(([key, item]) => [
+        encodeState(key),
+        encodeState(item),
+      ]),
+    };
+  }
+  if (value instanceof Set) {
+    return {
+      __type: 'Set',
+      values: [...value].map(encodeState),
+    };
+  }
+  if (Array.isArray(value)) return value.map(encodeState);
+  if (!isObject(value)) return value;
+  const encoded = {};
+  Object.keys(value).forEach((key) => {
+    encoded[key] = encodeState(value[key]);
+  });
+  // An object with its own `__type` must not be decoded as a tag
+  return hasOwn(value, '__type')
+    ? { __type: 'Object', value: encoded }
+    : encoded;
+}
+
+function decodeState(value) {
+  if (Array.isArray(value)) return value.map(decodeState);
+  if (!isObject(value)) return value;
+  if (value.__type === 'Date') return new Date(value.value);
+  if (value.__type === 'Map') {
+    return new Map(
+      value.entries.map(([key, item]) => [
+        decodeState(key),
+        decodeState(item),
+      ])
+    );
+  }
+  if (value.__type === 'Set') {
+    return new Set(value.values.map(decodeState));
+  }
+  const source =
+    value.__type === 'Object' ? value.value : value;
+  const decoded = {};
+  Object.keys(source).forEach((key) => {
+    decoded[key] = decodeState(source[key]);
+  });
+  return decoded;
+}
+
+// The state of every store, keyed by id, as a string that's safe
+// to inline in a <script> tag. Refs are unwrapped and computeds
+// left out, they're recomputed on the client.
+function serializeState() {
+  const payload = {};
+  getStores().forEach((store) => {
+    payload[store.$id] = encodeState(
+      snapshot(store.$state)
+    );
+  });
+  // Escaped so a value can't close the script tag
+  return JSON.stringify(payload).replace(/</g, '\\u003c');
+}
+
+// Restore state from serializeState(), as a string or parsed.
+// Stores that exist are patched right away. The others get their
+// state when they're created, before any of their effects run.
+// setup() itself still runs on the defaults, so what it reads
+// directly, like a computed it evaluates, sees those.
+function hydrate(payload) {
+  const states =
+    typeof payload === 'string'
+      ? JSON.parse(payload)
+      : payload;
+  Object.keys(states).forEach((id) => {
+    const state = decodeState(states[id]);
+    const store = getStore(id);
+    if (store) {
+      store.$patch(state);
+    } else {
+      hydrationState.set(id, state);
+    }
+  });
+}
+
+// Nothing above needs a DOM, so the core also runs in Node, where
+// it's loaded as a module:
+//
+//   const { createStore, serializeState } = require('./core.js');
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    reactive,
+    ref,
+    customRef,
+    unref,
+    isRef,
+    isReactive,
+    isProxy,
+    toRaw,
+    markRaw,
+    computed,
+    watch,
+    watchEffect,
+    watchMutations,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    nextTick,
+    onError,
+    onErrorCaptured,
+    transaction,
+    getLiveEffects,
+    getDependencyGraph,
+    exportGraphJSON,
+    exportGraphDOT,
+    onDevtoolsEvent,
+    createStore,
+    getStore,
+    getStores,
+    use,
+    persistPlugin,
+    createMemoryStorage,
+    snapshot,
+    createHistory,
+    serializeState,
+    hydrate,
+  };
+}
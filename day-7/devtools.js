@@ -0,0 +1,416 @@
+// Devtools overlay for the reactive store.
+// Drop it into any page that uses this reactivity system by
+// loading it after core.js:
+//
+//   <script src="devtools.js"></script>
+//
+// It shows every store's state (click a value to edit it), the
+// live effects with their run counts, and a log of triggers and
+// store actions. It's wrapped in a function so none of its
+// helpers end up as page globals.
+(function () {
+  // Keep the log from growing forever
+  const MAX_LOG_ENTRIES = 200;
+
+  const devtools = {
+    open: false,
+    tab: 'stores',
+    log: [],
+    // True while a value is being edited, so re-rendering the
+    // state tree doesn't throw away the input
+    editing: false,
+  };
+
+  // The devtools' own effects live in this scope, so they can be
+  // left out of the effects list
+  const devtoolsScope = effectScope(true);
+  let stopStoresRender;
+
+  const styles = `
+    .rx-devtools {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 10000;
+      font-family: 'Source Code Pro', monospace;
+      font-size: 13px;
+      color: #0f0;
+    }
+    .rx-devtools button {
+      font-size: 13px;
+      padding: 4px 10px;
+    }
+    .rx-devtools-panel {
+      display: none;
+      width: 480px;
+      max-width: calc(100vw - 32px);
+      margin-bottom: 8px;
+      background: #111;
+      border: 1px solid #0f0;
+      border-radius: 4px;
+      box-shadow: 0 0 10px #0f0;
+    }
+    .rx-devtools.open .rx-devtools-panel {
+      display: block;
+    }
+    .rx-devtools-tabs {
+      display: flex;
+      gap: 4px;
+      padding: 4px;
+      border-bottom: 1px solid #0f0;
+    }
+    .rx-devtools-tabs button.active {
+      background: #000;
+      color: #0f0;
+      box-shadow: inset 0 0 0 1px #0f0;
+    }
+    .rx-devtools-pane {
+      max-height: 50vh;
+      overflow: auto;
+      margin: 0;
+      padding: 8px;
+    }
+    .rx-devtools-pane ul {
+      list-style: none;
+      margin: 0;
+      padding-left: 16px;
+    }
+    .rx-devtools-pane h3 {
+      margin: 0 0 4px;
+      font-weight: 400;
+    }
+    .rx-devtools-value.editable {
+      cursor: pointer;
+      text-decoration: underline dotted;
+    }
+    .rx-devtools-pane input {
+      font: inherit;
+      padding: 0 4px;
+      margin: 0;
+    }
+    .rx-devtools-pane table {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    .rx-devtools-pane td,
+    .rx-devtools-pane th {
+      text-align: left;
+      padding: 2px 6px;
+    }
+    .rx-devtools-log {
+      padding-left: 32px;
+    }
+  `;
+
+  // Create an element with properties and children
+  function h(tag, props = {}, children = []) {
+    const el = document.createElement(tag);
+    Object.assign(el, props);
+    children.forEach((child) => el.append(child));
+    return el;
+  }
+
+  // Short, single line description of any value
+  function formatValue(value) {
+    let text;
+    if (typeof value === 'string') {
+      text = JSON.stringify(value);
+    } else if (typeof value === 'function') {
+      text = 'ƒ';
+    } else if (isObject(value)) {
+      try {
+        text = JSON.stringify(toRaw(value));
+      } catch (err) {
+        text = Object.prototype.toString.call(value);
+      }
+    } else {
+      text = String(value);
+    }
+    return text.length > 60
+      ? `${text.slice(0, 57)}...`
+      : text;
+  }
+
+  // Parse what was typed into an input, e.g. `42`, `true`,
+  // `{"a":1}`. Anything that isn't JSON is kept as a string.
+  function parseInput(text) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
+    }
+  }
+
+  function addLogEntry(text) {
+    const time = new Date().toLocaleTimeString();
+    devtools.log.push(`${time} ${text}`);
+    if (devtools.log.length > MAX_LOG_ENTRIES) {
+      devtools.log.shift();
+    }
+    scheduleRender();
+  }
+
+  // Assign a value at `path` through the store's proxies, so it
+  // triggers effects like any other write
+  function setPath(store, path, value) {
+    const parent = path
+      .slice(0, -1)
+      .reduce((obj, key) => obj[key], store);
+    parent[path[path.length - 1]] = value;
+  }
+
+  // List the children of a value as [key, value, editable]
+  function getEntries(value) {
+    if (value instanceof Map) {
+      return [...value.entries()].map(([key, item]) => [
+        formatValue(key),
+        item,
+        false,
+      ]);
+    }
+    if (value instanceof Set) {
+      return [...value].map((item, index) => [
+        String(index),
+        item,
+        false,
+      ]);
+    }
+    return Object.keys(value)
+      .filter(
+        (key) =>
+          typeof value[key] !== 'function' && key[0] !== '$'
+      )
+      .map((key) => [key, value[key], true]);
+  }
+
+  // Render a value as a nested list. This reads every property
+  // through the proxies, which is what makes the watchEffect
+  // below re-render when any of them change.
+  function renderTree(store, value, path, seen) {
+    const list = h('ul');
+    getEntries(value).forEach(([key, item, editable]) => {
+      const itemPath = path.concat(key);
+      const label = h('span', {
+        className: 'rx-devtools-key',
+        textContent: `${key}: `,
+      });
+      if (isObject(item) && !seen.has(toRaw(item))) {
+        seen.add(toRaw(item));
+        list.append(
+          h('li', {}, [
+            label,
+            renderTree(store, item, itemPath, seen),
+          ])
+        );
+        return;
+      }
+      const valueEl = h('span', {
+        className: 'rx-devtools-value',
+        textContent: formatValue(item),
+      });
+      if (editable && !isObject(item)) {
+        valueEl.classList.add('editable');
+        valueEl.title = 'Click to edit';
+        valueEl.onclick = () =>
+          startEditing(store, itemPath, item, valueEl);
+      }
+      list.append(h('li', {}, [label, valueEl]));
+    });
+    return list;
+  }
+
+  // Swap a value for an input. Enter saves, Escape cancels.
+  function startEditing(store, path, value, valueEl) {
+    devtools.editing = true;
+    const input = h('input', {
+      value: JSON.stringify(value) ?? '',
+    });
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      devtools.editing = false;
+      if (save) {
+        setPath(store, path, parseInput(input.value));
+      }
+      // Editing skipped renders, so start tracking again
+      watchStores();
+    };
+    input.onkeydown = (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    };
+    input.onblur = () => finish(true);
+    valueEl.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  function renderStores() {
+    if (devtools.editing) return;
+    const stores = getStores();
+    const children = stores.map((store) =>
+      h('div', {}, [
+        h('h3', { textContent: store.$id }),
+        renderTree(
+          store,
+          store,
+          [],
+          new Set([toRaw(store)])
+        ),
+      ])
+    );
+    if (!children.length) {
+      children.push(
+        h('p', { textContent: 'No stores yet.' })
+      );
+    }
+    panes.stores.replaceChildren(...children);
+  }
+
+  // (Re)start the effect that renders the stores, e.g. when a
+  // store is created or disposed
+  function watchStores() {
+    if (stopStoresRender) stopStoresRender();
+    stopStoresRender = devtoolsScope.run(() =>
+      watchEffect(renderStores, {
+        flush: 'post',
+        name: 'devtools',
+      })
+    );
+  }
+
+  function renderEffects() {
+    const rows = getLiveEffects()
+      .filter((effect) => effect.scope !== devtoolsScope)
+      .map((effect) =>
+        h('tr', {}, [
+          h('td', { textContent: `#${effect.id}` }),
+          h('td', { textContent: describeEffect(effect) }),
+          h('td', { textContent: effect.runs }),
+          h('td', { textContent: effect.deps.length }),
+        ])
+      );
+    panes.effects.replaceChildren(
+      h('table', {}, [
+        h('tr', {}, [
+          h('th', { textContent: 'Id' }),
+          h('th', { textContent: 'Effect' }),
+          h('th', { textContent: 'Runs' }),
+          h('th', { textContent: 'Deps' }),
+        ]),
+        ...rows,
+      ])
+    );
+  }
+
+  function renderLog() {
+    panes.log.replaceChildren(
+      ...devtools.log.map((entry) =>
+        h('li', { textContent: entry })
+      )
+    );
+    // Keep the newest entries in view
+    panes.log.scrollTop = panes.log.scrollHeight;
+  }
+
+  // Render the panes that aren't driven by a watchEffect
+  function renderPanels() {
+    if (!devtools.open) return;
+    if (devtools.tab === 'effects') renderEffects();
+    if (devtools.tab === 'log') renderLog();
+  }
+
+  // Re-render once the current flush is done
+  function scheduleRender() {
+    queuePostFlushCb(renderPanels);
+  }
+
+  function selectTab(tab) {
+    devtools.tab = tab;
+    Object.keys(panes).forEach((name) => {
+      panes[name].style.display =
+        name === tab ? '' : 'none';
+      tabButtons[name].classList.toggle(
+        'active',
+        name === tab
+      );
+    });
+    renderPanels();
+  }
+
+  // Build the overlay
+  const panes = {
+    stores: h('div', { className: 'rx-devtools-pane' }),
+    effects: h('div', { className: 'rx-devtools-pane' }),
+    log: h('ol', {
+      className: 'rx-devtools-pane rx-devtools-log',
+    }),
+  };
+  const tabButtons = {
+    stores: h('button', { textContent: 'Stores' }),
+    effects: h('button', { textContent: 'Effects' }),
+    log: h('button', { textContent: 'Log' }),
+  };
+  Object.keys(tabButtons).forEach((tab) => {
+    tabButtons[tab].onclick = () => selectTab(tab);
+  });
+  const toggle = h('button', { textContent: 'Devtools' });
+  const root = h('div', { className: 'rx-devtools' }, [
+    h('div', { className: 'rx-devtools-panel' }, [
+      h('div', { className: 'rx-devtools-tabs' }, [
+        tabButtons.stores,
+        tabButtons.effects,
+        tabButtons.log,
+      ]),
+      panes.stores,
+      panes.effects,
+      panes.log,
+    ]),
+    toggle,
+  ]);
+  toggle.onclick = () => {
+    devtools.open = !devtools.open;
+    root.classList.toggle('open', devtools.open);
+    renderPanels();
+  };
+
+  document.head.append(h('style', { textContent: styles }));
+  document.body.append(root);
+  selectTab('stores');
+  watchStores();
+
+  // Feed the log and keep the panes up to date
+  onDevtoolsEvent((type, payload) => {
+    if (type === 'store') {
+      watchStores();
+    } else if (type === 'run') {
+      if (payload.scope !== devtoolsScope) scheduleRender();
+    } else if (type === 'action') {
+      const args = payload.args.map(formatValue).join(', ');
+      addLogEntry(`action ${payload.name}(${args})`);
+    } else if (type === 'trigger') {
+      const {
+        target,
+        key,
+        type: op,
+        newValue,
+        oldValue,
+      } = payload;
+      let text = `${op} ${describeTargetWithId(target)}`;
+      if (key !== undefined) text += `.${String(key)}`;
+      // Computeds trigger without values
+      if (
+        op === 'set' &&
+        (newValue !== undefined || oldValue !== undefined)
+      ) {
+        text += `: ${formatValue(oldValue)} → ${formatValue(
+          newValue
+        )}`;
+      } else if (op === 'add') {
+        text += `: ${formatValue(newValue)}`;
+      }
+      addLogEntry(text);
+    }
+  });
+})();